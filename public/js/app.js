@@ -9,9 +9,15 @@ document.addEventListener("DOMContentLoaded", () => {
   const authButton = document.getElementById("auth-button");
   const exportButton = document.getElementById("export-button");
   const downloadButton = document.getElementById("download-button");
+  const cancelButton = document.getElementById("cancel-button");
+  const resumeButton = document.getElementById("resume-button");
   const privacyLink = document.getElementById("privacy-link");
   const closeModal = document.querySelector(".close-modal");
   const privacyModal = document.getElementById("privacy-modal");
+  const takeoutFileInput = document.getElementById("takeout-file");
+  const historySourceInputs = document.querySelectorAll(
+    'input[name="history-source"]'
+  );
 
   const loginStatus = document.getElementById("login-status");
   const dataSection = document.getElementById("data-section");
@@ -19,6 +25,45 @@ document.addEventListener("DOMContentLoaded", () => {
   const downloadContainer = document.getElementById("download-container");
   const exportStatus = document.getElementById("export-status");
   const progressBar = document.getElementById("progress-bar");
+  const progressDetails = document.getElementById("progress-details");
+  const quotaStatus = document.getElementById("quota-status");
+  const columnPicker = document.getElementById("column-picker");
+  const accountSwitcher = document.getElementById("account-switcher");
+  const accountSelect = document.getElementById("account-select");
+  const addAccountButton = document.getElementById("add-account-button");
+  const exportAccounts = document.getElementById("export-accounts");
+  const accountList = document.getElementById("account-list");
+  const quotaEstimate = document.getElementById("quota-estimate");
+  const historySection = document.getElementById("history-section");
+  const historyEmpty = document.getElementById("history-empty");
+  const exportHistory = document.getElementById("export-history");
+
+  // How data types are named in the export history
+  const DATA_TYPE_TITLES = {
+    likedVideos: "Liked videos",
+    watchHistory: "Watch history",
+    subscriptions: "Subscriptions",
+    playlists: "Playlists",
+    playlistItems: "Playlist items",
+  };
+
+  // What the user can do about each error code the server sends
+  const ERROR_ADVICE = {
+    QUOTA_EXCEEDED:
+      "The YouTube API quota resets at midnight Pacific Time. Resume the export then, or export fewer items.",
+    SCOPE_MISSING: "Sign out, then sign in again and allow access to your YouTube data.",
+    TOKEN_EXPIRED: "Your sign-in has expired. Sign out and sign in again.",
+    TOKEN_MISSING: "Sign in to every account of the export, then try again.",
+    HISTORY_UNAVAILABLE:
+      "Export your watch history with Google Takeout and choose the Takeout file as its source.",
+    CHANNEL_NOT_FOUND:
+      "This Google account has no YouTube channel. Sign in with an account that has one.",
+    YOUTUBE_UNAVAILABLE: "YouTube is having trouble right now. Try again in a few minutes.",
+    NO_DATA: "Select other data types or loosen the filters.",
+    FORBIDDEN: "Switch to the account that started the export and download it from there.",
+    EXPORT_EXPIRED: "Export files are only kept for the time chosen when exporting. Run the export again.",
+    LINK_EXPIRED: "Click Download File again to get a new link.",
+  };
 
   // Log DOM elements to ensure they're found
   console.log("Auth button found:", !!authButton);
@@ -32,6 +77,11 @@ document.addEventListener("DOMContentLoaded", () => {
       console.log("Auth status checked, authenticated:", isAuthenticated);
       if (isAuthenticated) {
         updateUIOnAuth(true);
+
+        // Pick up an export that was running before the page was reloaded
+        if (dataHandler.hasActiveExport()) {
+          trackExport(dataHandler.resumeExport(updateProgress));
+        }
       }
     })
     .catch((error) => {
@@ -45,10 +95,12 @@ document.addEventListener("DOMContentLoaded", () => {
       console.log("Auth button clicked");
       if (auth.isAuthenticated()) {
         console.log("User is authenticated, signing out");
+        // Another signed-in account takes over, if there is one
         auth
           .signOut()
-          .then(() => {
-            updateUIOnAuth(false);
+          .then(() => auth.checkAuthStatus())
+          .then((isAuthenticated) => {
+            updateUIOnAuth(isAuthenticated);
           })
           .catch((error) => {
             console.error("Error signing out:", error);
@@ -72,6 +124,51 @@ document.addEventListener("DOMContentLoaded", () => {
     console.error("Auth button not found in the DOM");
   }
 
+  // Add another account; it becomes the active one
+  if (addAccountButton) {
+    addAccountButton.addEventListener("click", () => {
+      auth
+        .signIn()
+        .then(() => {
+          console.log("Account added");
+          updateUIOnAuth(true);
+        })
+        .catch((error) => {
+          console.error("Error adding account:", error);
+          showError("Failed to add the YouTube account. Please try again.");
+        });
+    });
+  }
+
+  // Switch the active account
+  if (accountSelect) {
+    accountSelect.addEventListener("change", () => {
+      auth
+        .switchAccount(accountSelect.value)
+        .then((isAuthenticated) => {
+          updateUIOnAuth(isAuthenticated);
+        })
+        .catch((error) => {
+          console.error("Error switching account:", error);
+          showError("Failed to switch accounts. Please try again.");
+        });
+    });
+  }
+
+  // Keep the quota estimate in line with the chosen options
+  dataSection.addEventListener("change", (e) => {
+    if (!columnPicker.contains(e.target)) {
+      updateQuotaEstimate();
+    }
+  });
+
+  // Show the file picker only when watch history comes from Takeout
+  historySourceInputs.forEach((input) => {
+    input.addEventListener("change", () => {
+      takeoutFileInput.classList.toggle("hidden", getHistorySource() !== "takeout");
+    });
+  });
+
   // Export button click event
   if (exportButton) {
     exportButton.addEventListener("click", () => {
@@ -79,43 +176,89 @@ document.addEventListener("DOMContentLoaded", () => {
       const options = {
         likedVideos: document.getElementById("liked-videos").checked,
         watchHistory: document.getElementById("watch-history").checked,
+        subscriptions: document.getElementById("subscriptions").checked,
+        playlists: document.getElementById("playlists").checked,
+        onlyNew: document.getElementById("only-new").checked,
+        forceRefresh: document.getElementById("force-refresh").checked,
         maxResults: parseInt(document.getElementById("max-results").value, 10),
+        format: document.getElementById("export-format").value,
+        retentionHours: parseInt(document.getElementById("export-retention").value, 10),
+        watchHistoryFile:
+          getHistorySource() === "takeout" ? takeoutFileInput.files[0] : null,
+        filters: getFilters(),
+        columns: getColumns(),
+        accountIds: getExportAccountIds(),
       };
 
       // Validate options
-      if (!options.likedVideos && !options.watchHistory) {
+      if (
+        !options.likedVideos &&
+        !options.watchHistory &&
+        !options.subscriptions &&
+        !options.playlists
+      ) {
         showError("Please select at least one data type to export.");
         return;
       }
 
+      if (
+        options.watchHistory &&
+        getHistorySource() === "takeout" &&
+        !options.watchHistoryFile
+      ) {
+        showError("Please choose your Takeout watch-history file.");
+        return;
+      }
+
+      if (
+        options.watchHistoryFile &&
+        options.watchHistory &&
+        options.accountIds.length > 0
+      ) {
+        showError(
+          "A Takeout file belongs to one account. Export watch history of several accounts from the YouTube API."
+        );
+        return;
+      }
+
       if (isNaN(options.maxResults) || options.maxResults < 1) {
         showError("Please enter a valid number for maximum results.");
         return;
       }
 
-      // Show results section and reset UI
-      resultsSection.classList.remove("hidden");
-      downloadContainer.classList.add("hidden");
-      progressBar.style.width = "0%";
-      exportStatus.textContent = "Starting export...";
+      const emptyGroup = Array.from(columnPicker.querySelectorAll("fieldset")).find(
+        (group) => !group.querySelector("input:checked")
+      );
+      if (emptyGroup) {
+        showError(
+          `Please select at least one column for ${emptyGroup.querySelector("legend").textContent}.`
+        );
+        return;
+      }
+
+      // Remember the column choice for next time
+      if (options.columns) {
+        dataHandler
+          .savePreferences({ columns: options.columns })
+          .catch((error) => console.warn("Could not save column choice:", error));
+      }
 
       // Start the export process
-      dataHandler
-        .exportData(options, updateProgress)
-        .then((filename) => {
-          exportStatus.textContent = "Export completed successfully!";
-          downloadContainer.classList.remove("hidden");
-
-          // Set up download link
-          downloadButton.onclick = () => {
-            window.location.href = `/download/${filename}`;
-          };
-        })
-        .catch((error) => {
-          console.error("Export error:", error);
-          exportStatus.textContent = `Export failed: ${error.message}`;
-          progressBar.style.width = "0%";
-        });
+      trackExport(dataHandler.exportData(options, updateProgress));
+    });
+  }
+
+  // Cancel button click event
+  if (cancelButton) {
+    cancelButton.addEventListener("click", () => {
+      cancelButton.disabled = true;
+      exportStatus.textContent = "Cancelling export...";
+
+      dataHandler.cancelExport().catch((error) => {
+        console.error("Error cancelling export:", error);
+        cancelButton.disabled = false;
+        showError("Failed to cancel the export. Please try again.");
+      });
     });
   }
 
@@ -143,24 +286,416 @@ document.addEventListener("DOMContentLoaded", () => {
   function updateUIOnAuth(isAuthenticated) {
     console.log("Updating UI, authenticated:", isAuthenticated);
     if (isAuthenticated) {
+      const accounts = auth.getAccounts();
+      const active = accounts.find((account) => account.active);
+
       authButton.textContent = "Disconnect";
-      loginStatus.textContent = "Connected";
+      loginStatus.textContent = `Connected as ${active.title}`;
       loginStatus.classList.add("connected");
+      accountSwitcher.classList.remove("hidden");
       dataSection.classList.remove("hidden");
+      renderAccounts(accounts);
+      loadColumnPicker();
+      updateQuotaEstimate();
+      loadExportHistory();
     } else {
       authButton.textContent = "Connect to YouTube";
       loginStatus.textContent = "Not connected";
       loginStatus.classList.remove("connected");
+      accountSwitcher.classList.add("hidden");
       dataSection.classList.add("hidden");
       resultsSection.classList.add("hidden");
+      historySection.classList.add("hidden");
     }
   }
 
-  function updateProgress(percentage, statusText) {
+  function renderAccounts(accounts) {
+    accountSelect.innerHTML = "";
+    accountList.innerHTML = "";
+
+    accounts.forEach(({ accountId, title, active }) => {
+      const option = document.createElement("option");
+      option.value = accountId;
+      option.textContent = title;
+      option.selected = active;
+      accountSelect.appendChild(option);
+
+      // The active account is always exported
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = accountId;
+      checkbox.checked = active;
+      checkbox.disabled = active;
+
+      const label = document.createElement("label");
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(title));
+      accountList.appendChild(label);
+    });
+
+    // Choosing accounts only makes sense with more than one
+    exportAccounts.classList.toggle("hidden", accounts.length < 2);
+  }
+
+  function getJobAccountIds(jobAccounts) {
+    // Accounts of a job besides the active one, where still signed in
+    const signedIn = auth.getAccounts();
+    return (jobAccounts || [])
+      .map(({ accountId }) => signedIn.find((account) => account.accountId === accountId))
+      .filter((account) => account && !account.active)
+      .map(({ accountId }) => accountId);
+  }
+
+  function getExportAccountIds() {
+    // Accounts exported besides the active one
+    return Array.from(accountList.querySelectorAll("input:checked:not(:disabled)")).map(
+      (checkbox) => checkbox.value
+    );
+  }
+
+  function trackExport(exportPromise) {
+    // Show results section and reset UI
+    resultsSection.classList.remove("hidden");
+    downloadContainer.classList.add("hidden");
+    progressBar.style.width = "0%";
+    exportStatus.textContent = "Starting export...";
+    progressDetails.innerHTML = "";
+    quotaStatus.textContent = "";
+    exportButton.disabled = true;
+    cancelButton.classList.remove("hidden");
+    cancelButton.disabled = false;
+    resumeButton.classList.add("hidden");
+
+    exportPromise
+      .then((filename) => {
+        // An export of only new data that found nothing new writes no file
+        if (!filename) {
+          exportStatus.textContent = "Nothing new since the last export.";
+          return;
+        }
+
+        exportStatus.textContent = "Export completed successfully!";
+        downloadContainer.classList.remove("hidden");
+
+        // Set up download link; each click gets a freshly signed one
+        downloadButton.onclick = () => downloadExport(filename);
+
+        loadExportHistory();
+      })
+      .catch((error) => {
+        console.error("Export error:", error);
+        exportStatus.textContent =
+          ["cancelled", "interrupted", "paused"].includes(error.jobState)
+            ? describeError(error)
+            : `Export failed: ${describeError(error)}`;
+
+        // Offer to continue from the last checkpoint
+        if (error.resumable) {
+          resumeButton.classList.remove("hidden");
+          resumeButton.onclick = () => {
+            trackExport(
+              dataHandler.resumeFailedExport(
+                error.jobId,
+                updateProgress,
+                getJobAccountIds(error.accounts)
+              )
+            );
+          };
+        } else {
+          progressBar.style.width = "0%";
+        }
+      })
+      .finally(() => {
+        exportButton.disabled = false;
+        cancelButton.classList.add("hidden");
+        updateQuotaEstimate();
+      });
+  }
+
+  function updateProgress(percentage, statusText, details) {
     progressBar.style.width = `${percentage}%`;
     if (statusText) {
       exportStatus.textContent = statusText;
     }
+
+    if (details) {
+      renderProgressDetails(details);
+    }
+  }
+
+  function renderProgressDetails(details) {
+    // One line of sub-progress per data type
+    progressDetails.innerHTML = "";
+    Object.values(details.dataTypes || {}).forEach((typeProgress) => {
+      const item = document.createElement("li");
+      item.className = `progress-${typeProgress.state}`;
+
+      const label = typeProgress.label;
+      let text = `${label.charAt(0).toUpperCase()}${label.slice(1)}: `;
+      if (typeProgress.state === "pending") {
+        text += "waiting";
+      } else if (typeProgress.state === "failed") {
+        text += "unavailable";
+      } else {
+        text += `${typeProgress.fetched} items`;
+        if (typeProgress.state === "running" && typeProgress.totalPages) {
+          text += ` (${typeProgress.page} of ${typeProgress.totalPages})`;
+        }
+      }
+
+      item.textContent = text;
+      progressDetails.appendChild(item);
+    });
+
+    quotaStatus.textContent = details.quotaUsed
+      ? `YouTube API quota used: ${details.quotaUsed} units`
+      : "";
+  }
+
+  function updateQuotaEstimate() {
+    const options = {
+      likedVideos: document.getElementById("liked-videos").checked,
+      watchHistory:
+        document.getElementById("watch-history").checked && getHistorySource() === "api",
+      subscriptions: document.getElementById("subscriptions").checked,
+      playlists: document.getElementById("playlists").checked,
+      maxResults: parseInt(document.getElementById("max-results").value, 10),
+    };
+
+    dataHandler
+      .estimateExport(options, 1 + getExportAccountIds().length)
+      .then(({ estimate, usage }) => {
+        quotaEstimate.textContent =
+          `This export may use up to ${estimate.units} YouTube API quota units. ` +
+          `${usage.remaining} of ${usage.budget} units are left today.`;
+        quotaEstimate.classList.toggle("over-budget", estimate.units > usage.remaining);
+      })
+      .catch((error) => {
+        console.error("Error estimating quota:", error);
+        quotaEstimate.textContent = "";
+      });
+  }
+
+  function getHistorySource() {
+    const selected = document.querySelector('input[name="history-source"]:checked');
+    return selected ? selected.value : "api";
+  }
+
+  function loadColumnPicker() {
+    Promise.all([
+      dataHandler.getFields(),
+      dataHandler.getPreferences().catch(() => ({})),
+    ])
+      .then(([dataTypes, preferences]) => {
+        renderColumnPicker(dataTypes, preferences.columns || {});
+      })
+      .catch((error) => {
+        // Without the picker every column is exported
+        console.error("Error loading columns:", error);
+      });
+  }
+
+  function renderColumnPicker(dataTypes, savedColumns) {
+    columnPicker.innerHTML = "";
+
+    dataTypes.forEach(({ key, title, fields }) => {
+      const group = document.createElement("fieldset");
+      group.dataset.dataType = key;
+
+      const legend = document.createElement("legend");
+      legend.textContent = title;
+      group.appendChild(legend);
+
+      // Saved columns first, in their saved order, then the rest unticked
+      const saved = savedColumns[key];
+      const ordered = saved
+        ? [
+            ...saved
+              .map((name) => fields.find(({ field }) => field === name))
+              .filter(Boolean),
+            ...fields.filter(({ field }) => !saved.includes(field)),
+          ]
+        : fields;
+
+      const list = document.createElement("ul");
+      list.className = "column-list";
+
+      ordered.forEach(({ field, label, optional }) => {
+        const item = document.createElement("li");
+        item.dataset.field = field;
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = !saved || saved.includes(field);
+
+        const text = document.createElement("label");
+        text.appendChild(checkbox);
+        text.appendChild(
+          document.createTextNode(optional ? `${label} (when available)` : label)
+        );
+        item.appendChild(text);
+
+        item.appendChild(
+          createMoveButton("\u2191", "Move up", () => {
+            if (item.previousElementSibling) {
+              list.insertBefore(item, item.previousElementSibling);
+            }
+          })
+        );
+        item.appendChild(
+          createMoveButton("\u2193", "Move down", () => {
+            if (item.nextElementSibling) {
+              list.insertBefore(item.nextElementSibling, item);
+            }
+          })
+        );
+
+        list.appendChild(item);
+      });
+
+      group.appendChild(list);
+      columnPicker.appendChild(group);
+    });
+  }
+
+  function createMoveButton(symbol, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "move-button";
+    button.textContent = symbol;
+    button.title = title;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function getColumns() {
+    const groups = columnPicker.querySelectorAll("fieldset");
+    if (groups.length === 0) {
+      return undefined;
+    }
+
+    const columns = {};
+    groups.forEach((group) => {
+      columns[group.dataset.dataType] = Array.from(
+        group.querySelectorAll("li")
+      )
+        .filter((item) => item.querySelector("input").checked)
+        .map((item) => item.dataset.field);
+    });
+
+    return columns;
+  }
+
+  function getFilters() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const minutesToSeconds = (id) => (value(id) === "" ? "" : Number(value(id)) * 60);
+
+    // Empty values are ignored by the server
+    return {
+      publishedAfter: value("published-after"),
+      publishedBefore: value("published-before"),
+      watchedAfter: value("watched-after"),
+      watchedBefore: value("watched-before"),
+      includeChannels: value("include-channels"),
+      excludeChannels: value("exclude-channels"),
+      minDuration: minutesToSeconds("min-duration"),
+      maxDuration: minutesToSeconds("max-duration"),
+      keyword: value("keyword"),
+    };
+  }
+
+  function downloadExport(filename) {
+    return dataHandler
+      .getDownloadUrl(filename)
+      .then((url) => {
+        window.location.href = url;
+      })
+      .catch((error) => {
+        showError(`Download failed: ${describeError(error)}`);
+        // The export may have expired in the meantime
+        loadExportHistory();
+      });
+  }
+
+  function loadExportHistory() {
+    dataHandler
+      .listExports()
+      .then(renderExportHistory)
+      .catch((error) => {
+        console.error("Error loading export history:", error);
+        historySection.classList.add("hidden");
+      });
+  }
+
+  function renderExportHistory(exports) {
+    historySection.classList.remove("hidden");
+    historyEmpty.classList.toggle("hidden", exports.length > 0);
+    exportHistory.innerHTML = "";
+
+    exports.forEach((exported) => {
+      const item = document.createElement("li");
+
+      const rows = exported.dataTypes
+        .map((key) => `${DATA_TYPE_TITLES[key] || key} (${exported.counts[key]})`)
+        .join(", ");
+      const filters = Object.keys(exported.filters).length > 0 ? ", filtered" : "";
+      const kept = exported.available
+        ? `kept until ${new Date(exported.expiresAt).toLocaleString()}`
+        : "file deleted";
+
+      const summary = document.createElement("span");
+      summary.className = "export-summary";
+      summary.classList.toggle("export-expired", !exported.available);
+      summary.textContent =
+        `${new Date(exported.createdAt).toLocaleString()}: ` +
+        `${exported.format.toUpperCase()}, ${formatSize(exported.size)}${filters}. ` +
+        `${rows}. ${kept}`;
+      item.appendChild(summary);
+
+      if (exported.available) {
+        const download = document.createElement("button");
+        download.className = "btn secondary";
+        download.textContent = "Download";
+        download.addEventListener("click", () => downloadExport(exported.filename));
+        item.appendChild(download);
+      }
+
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "btn";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => {
+        if (!confirm("Delete this export and its file?")) {
+          return;
+        }
+
+        deleteButton.disabled = true;
+        dataHandler
+          .deleteExport(exported.filename)
+          .then(loadExportHistory)
+          .catch((error) => {
+            deleteButton.disabled = false;
+            showError(`Could not delete the export: ${describeError(error)}`);
+          });
+      });
+      item.appendChild(deleteButton);
+
+      exportHistory.appendChild(item);
+    });
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    return bytes < 1024 * 1024
+      ? `${(bytes / 1024).toFixed(1)} KB`
+      : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function describeError(error) {
+    // The server's message says what went wrong; the advice says what to do
+    const advice = ERROR_ADVICE[error.code];
+    return advice ? `${error.message.replace(/\.?$/, ".")} ${advice}` : error.message;
   }
 
   function showError(message) {
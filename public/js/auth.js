@@ -4,75 +4,111 @@
  */
 const auth = (() => {
   // Private variables
-  let _isAuthenticated = false;
-  let _accessToken = null;
-  let _tokenExpiry = null;
+  // Signed-in accounts: [{ accountId, title, thumbnailUrl, token, expiry }]
+  let _accounts = [];
+  let _activeAccountId = null;
 
   // Constants
   const AUTH_ENDPOINT = "/api/auth";
+  const ACCOUNTS_KEY = "yt_data_exporter_accounts";
+  const ACTIVE_KEY = "yt_data_exporter_active_account";
+  // Used before several accounts could be signed in
   const TOKEN_KEY = "yt_data_exporter_token";
   const EXPIRY_KEY = "yt_data_exporter_expiry";
 
   // Private methods
-  const _saveToken = (token, expiresIn) => {
+  const _getActiveAccount = () =>
+    _accounts.find((account) => account.accountId === _activeAccountId) || null;
+
+  const _persistAccounts = () => {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(_accounts));
+
+    if (_activeAccountId) {
+      localStorage.setItem(ACTIVE_KEY, _activeAccountId);
+    } else {
+      localStorage.removeItem(ACTIVE_KEY);
+    }
+  };
+
+  const _saveToken = (account, token, expiresIn) => {
     console.log("Saving token with expiry:", expiresIn);
-    _accessToken = token;
+    account.token = token;
 
     // Calculate and store expiry time
-    const expiryTime = Date.now() + expiresIn * 1000;
-    _tokenExpiry = expiryTime;
-
-    // Save to localStorage for persistence
-    localStorage.setItem(TOKEN_KEY, token);
-    localStorage.setItem(EXPIRY_KEY, expiryTime.toString());
+    account.expiry = Date.now() + expiresIn * 1000;
+    _persistAccounts();
+  };
 
-    _isAuthenticated = true;
+  const _addAccount = (details, token, expiresIn) => {
+    // Accounts whose channel could not be identified can't be matched later
+    const account = {
+      accountId: (details && details.accountId) || `unknown-${Date.now()}`,
+      title: (details && details.title) || "YouTube account",
+      thumbnailUrl: (details && details.thumbnailUrl) || null,
+    };
+
+    // Signing in to an account again replaces its token
+    _accounts = _accounts.filter(({ accountId }) => accountId !== account.accountId);
+    _accounts.push(account);
+    _activeAccountId = account.accountId;
+    _saveToken(account, token, expiresIn);
   };
 
-  const _clearToken = () => {
-    console.log("Clearing token");
-    _accessToken = null;
-    _tokenExpiry = null;
-    localStorage.removeItem(TOKEN_KEY);
-    localStorage.removeItem(EXPIRY_KEY);
-    _isAuthenticated = false;
+  const _removeAccount = (accountId) => {
+    console.log("Removing account:", accountId);
+    _accounts = _accounts.filter((account) => account.accountId !== accountId);
+
+    if (_activeAccountId === accountId) {
+      _activeAccountId = _accounts.length > 0 ? _accounts[0].accountId : null;
+    }
+
+    _persistAccounts();
   };
 
-  const _isTokenValid = () => {
-    if (!_accessToken || !_tokenExpiry) return false;
+  const _isTokenValid = (account) => {
+    if (!account || !account.token || !account.expiry) return false;
 
     // Check if token has expired (with 5 minute buffer)
     const fiveMinutesInMs = 5 * 60 * 1000;
-    return Date.now() < _tokenExpiry - fiveMinutesInMs;
+    return Date.now() < account.expiry - fiveMinutesInMs;
   };
 
-  const _loadTokenFromStorage = () => {
-    console.log("Loading token from storage");
-    const token = localStorage.getItem(TOKEN_KEY);
-    const expiry = localStorage.getItem(EXPIRY_KEY);
+  const _loadAccountsFromStorage = () => {
+    console.log("Loading accounts from storage");
 
-    if (token && expiry) {
-      _accessToken = token;
-      _tokenExpiry = parseInt(expiry, 10);
-      _isAuthenticated = _isTokenValid();
-      console.log("Token loaded, is authenticated:", _isAuthenticated);
+    try {
+      _accounts = JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || [];
+    } catch (error) {
+      console.error("Error reading stored accounts:", error);
+      _accounts = [];
+    }
+    _activeAccountId = localStorage.getItem(ACTIVE_KEY);
 
-      // Clean up if token is expired
-      if (!_isAuthenticated) {
-        _clearToken();
-      }
+    // Keep a token saved by an earlier version signed in
+    const legacyToken = localStorage.getItem(TOKEN_KEY);
+    const legacyExpiry = localStorage.getItem(EXPIRY_KEY);
+    if (legacyToken && legacyExpiry) {
+      _addAccount(null, legacyToken, (parseInt(legacyExpiry, 10) - Date.now()) / 1000);
     }
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(EXPIRY_KEY);
+
+    if (!_getActiveAccount()) {
+      _activeAccountId = _accounts.length > 0 ? _accounts[0].accountId : null;
+    }
+
+    console.log("Accounts loaded:", _accounts.length);
   };
 
-  const _refreshToken = async () => {
-    console.log("Attempting to refresh token");
+  const _refreshToken = async (account) => {
+    console.log("Attempting to refresh token of", account.title);
     try {
       const response = await fetch(`${AUTH_ENDPOINT}/refresh`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ token: _accessToken }),
+        body: JSON.stringify({ token: account.token }),
       });
 
       if (!response.ok) {
@@ -80,11 +116,11 @@ const auth = (() => {
       }
 
       const data = await response.json();
-      _saveToken(data.access_token, data.expires_in);
+      _saveToken(account, data.access_token, data.expires_in);
       return true;
     } catch (error) {
       console.error("Error refreshing token:", error);
-      _clearToken();
+      _removeAccount(account.accountId);
       return false;
     }
   };
@@ -96,7 +132,7 @@ const auth = (() => {
      */
     init() {
       console.log("Initializing auth module");
-      _loadTokenFromStorage();
+      _loadAccountsFromStorage();
     },
 
     /**
@@ -104,7 +140,7 @@ const auth = (() => {
      * @returns {boolean} Authentication status
      */
     isAuthenticated() {
-      return _isAuthenticated && _isTokenValid();
+      return _isTokenValid(_getActiveAccount());
     },
 
     /**
@@ -113,13 +149,16 @@ const auth = (() => {
      */
     async checkAuthStatus() {
       console.log("Checking auth status");
-      _loadTokenFromStorage();
+      _loadAccountsFromStorage();
 
-      if (_isAuthenticated && !_isTokenValid()) {
-        return await _refreshToken();
+      // An account that can't be refreshed is removed and the next one tried
+      let account = _getActiveAccount();
+      while (account && !_isTokenValid(account)) {
+        await _refreshToken(account);
+        account = _getActiveAccount();
       }
 
-      return _isAuthenticated;
+      return this.isAuthenticated();
     },
 
     /**
@@ -128,13 +167,67 @@ const auth = (() => {
      */
     getAccessToken() {
       if (this.isAuthenticated()) {
-        return _accessToken;
+        return _getActiveAccount().token;
       }
       return null;
     },
 
+    /**
+     * Get the signed-in accounts
+     * @returns {Array} [{ accountId, title, thumbnailUrl, active }], in sign-in order
+     */
+    getAccounts() {
+      return _accounts.map(({ accountId, title, thumbnailUrl }) => ({
+        accountId,
+        title,
+        thumbnailUrl,
+        active: accountId === _activeAccountId,
+      }));
+    },
+
+    /**
+     * Make another signed-in account the active one
+     * @param {string} accountId - The account to switch to
+     * @returns {Promise<boolean>} Authentication status of that account
+     */
+    async switchAccount(accountId) {
+      if (!_accounts.some((account) => account.accountId === accountId)) {
+        throw new Error("Account is not signed in");
+      }
+
+      console.log("Switching to account:", accountId);
+      _activeAccountId = accountId;
+      _persistAccounts();
+
+      return this.checkAuthStatus();
+    },
+
+    /**
+     * Get valid access tokens of signed-in accounts, refreshing them if needed
+     * @param {string[]} accountIds - The accounts to get tokens for
+     * @returns {Promise<string[]>} Access tokens, in the order of accountIds
+     */
+    async getAccessTokens(accountIds) {
+      const tokens = [];
+
+      for (const accountId of accountIds) {
+        const account = _accounts.find((item) => item.accountId === accountId);
+
+        if (!account || (!_isTokenValid(account) && !(await _refreshToken(account)))) {
+          throw new Error(
+            `${account ? account.title : "An account"} is no longer signed in. Please add it again.`
+          );
+        }
+
+        tokens.push(account.token);
+      }
+
+      return tokens;
+    },
+
     /**
      * Sign in with OAuth
+     * Signing in while already signed in adds another account and makes it active.
      * @returns {Promise<void>}
      */
     async signIn() {
@@ -172,7 +265,7 @@ const auth = (() => {
             window.removeEventListener("message", messageListener);
 
             if (event.data.success) {
-              _saveToken(event.data.token, event.data.expiresIn);
+              _addAccount(event.data.account, event.data.token, event.data.expiresIn);
               resolve();
             } else {
               reject(new Error(event.data.error || "Authentication failed"));
@@ -196,26 +289,31 @@ const auth = (() => {
     },
 
     /**
-     * Sign out
+     * Sign out of the active account
+     * Another signed-in account, if any, becomes active.
      * @returns {Promise<void>}
      */
     async signOut() {
       console.log("Starting sign out process");
+      const account = _getActiveAccount();
+
       try {
-        if (_accessToken) {
+        if (account) {
           // Call the server to revoke the token
           await fetch(`${AUTH_ENDPOINT}/revoke`, {
             method: "POST",
             headers: {
               "Content-Type": "application/json",
             },
-            body: JSON.stringify({ token: _accessToken }),
+            body: JSON.stringify({ token: account.token }),
           });
         }
       } catch (error) {
         console.error("Error revoking token:", error);
       } finally {
-        _clearToken();
+        if (account) {
+          _removeAccount(account.accountId);
+        }
       }
     },
   };
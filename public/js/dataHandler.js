@@ -5,9 +5,27 @@
 const dataHandler = (() => {
   // Constants
   const API_ENDPOINT = "/api/data";
-  const BATCH_SIZE = 500; // Maximum number of items to send in a single API request
+  const JOB_KEY = "yt_data_exporter_job";
+  const POLL_INTERVAL = 1000; // Milliseconds between job status checks when streaming is unavailable
+  const FINISHED_STATES = ["completed", "failed", "cancelled", "interrupted", "paused"];
 
   // Private methods
+
+  /**
+   * Create an error from a failed API response
+   * @param {Response} response - The fetch response
+   * @param {Object} body - Parsed error body ({ error, code, message, details })
+   * @param {string} fallback - Message when the body has none
+   * @returns {Error} - Error with the response's status, code and details
+   */
+  const _responseError = (response, body, fallback) => {
+    const error = new Error(body.message || body.error || fallback);
+    error.status = response.status;
+    error.code = body.code;
+    error.details = body.details;
+    return error;
+  };
+
   const _fetchData = async (endpoint, params = {}) => {
     const token = auth.getAccessToken();
     if (!token) {
@@ -20,328 +38,404 @@ const dataHandler = (() => {
       queryParams ? `?${queryParams}` : ""
     }`;
 
-    try {
-      const response = await fetch(url, {
-        method: "GET",
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        Authorization: `Bearer ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      // Try to get error details from response
+      const errorData = await response.json().catch(() => ({}));
+      console.error(`Error fetching ${endpoint}:`, errorData);
+      throw _responseError(response, errorData, `Failed to fetch ${endpoint}`);
+    }
+
+    return response.json();
+  };
+
+  /**
+   * Upload a Google Takeout watch-history file for parsing on the server
+   * @param {File} file - watch-history.json or watch-history.html
+   * @param {number} maxResults - Maximum number of items to keep
+   * @returns {Promise<Object>} - Import ID and number of parsed items
+   */
+  const _uploadTakeoutFile = async (file, maxResults) => {
+    const response = await fetch(
+      `${API_ENDPOINT}/history/import?maxResults=${maxResults}`,
+      {
+        method: "POST",
         headers: {
-          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/octet-stream",
+          Authorization: `Bearer ${auth.getAccessToken()}`,
         },
-      });
-
-      if (!response.ok) {
-        // Try to get error details from response
-        const errorData = await response.json().catch(() => ({}));
-        console.error(`Error fetching ${endpoint}:`, errorData);
-        throw new Error(errorData.message || `Failed to fetch ${endpoint}`);
+        body: file,
       }
+    );
 
-      return response.json();
-    } catch (error) {
-      console.error(`Error in _fetchData for ${endpoint}:`, error);
-      // Return empty array to prevent cascading errors
-      return [];
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw _responseError(response, errorData, "Failed to import watch history file");
     }
+
+    return response.json();
   };
 
   /**
-   * Process data in chunks to avoid payload size limits
-   * @param {Array} data - The data to process in chunks
-   * @param {number} chunkSize - Maximum size of each chunk
-   * @returns {Array} - Array of chunks
+   * Send an authenticated JSON request and return the parsed response
+   * @param {string} endpoint - Path below the data API
+   * @param {Object} [options] - fetch options
+   * @returns {Promise<Object>} - Parsed response body
    */
-  const _chunkArray = (data, chunkSize) => {
-    const chunks = [];
-    for (let i = 0; i < data.length; i += chunkSize) {
-      chunks.push(data.slice(i, i + chunkSize));
+  const _request = async (endpoint, options = {}) => {
+    const response = await fetch(`${API_ENDPOINT}/${endpoint}`, {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${auth.getAccessToken()}`,
+        ...options.headers,
+      },
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw _responseError(response, body, `Request to ${endpoint} failed`);
     }
-    return chunks;
+
+    return body;
   };
 
   /**
-   * Export data in batches to avoid large payloads
-   * @param {Object} data - Data to export
+   * Report a job update and resolve or reject once the job has finished
+   * @param {Object} job - Job as returned by the server
    * @param {Function} progressCallback - Callback for progress updates
-   * @returns {Promise<string>} - Filename of the exported data
+   * @returns {Object|null} - { filename } when completed (a null filename when an
+   *   export of only new data found nothing new), null while running
    */
-  const _batchedExport = async (data, progressCallback) => {
-    // Generate a unique session ID for this export
-    const sessionId = Date.now().toString();
-    let currentProgress = 85;
-    let totalChunks = 0;
-    let processedChunks = 0;
-
-    // Calculate total number of chunks
-    if (data.likedVideos && data.likedVideos.length > 0) {
-      totalChunks += Math.ceil(data.likedVideos.length / BATCH_SIZE);
-    }
-    if (data.watchHistory && data.watchHistory.length > 0) {
-      totalChunks += Math.ceil(data.watchHistory.length / BATCH_SIZE);
+  const _handleJobUpdate = (job, progressCallback) => {
+    if (progressCallback) {
+      progressCallback(job.progress.percent, job.progress.message, job.progress);
     }
 
-    // If no chunks (empty data), create one empty chunk
-    if (totalChunks === 0) {
-      totalChunks = 1;
+    if (job.state === "completed") {
+      localStorage.removeItem(JOB_KEY);
+      job.warnings.forEach((warning) => console.warn(warning));
+      return { filename: job.result.filename };
     }
 
-    // Start multi-part export
-    if (progressCallback) {
-      progressCallback(currentProgress, `Preparing to export data in ${totalChunks} parts...`);
+    if (FINISHED_STATES.includes(job.state)) {
+      // Keep failed and interrupted jobs so they can be resumed after a reload
+      if (!job.resumable || job.state === "cancelled") {
+        localStorage.removeItem(JOB_KEY);
+      }
+
+      const error = new Error(
+        job.state === "failed" ? job.error || "Export failed" : job.progress.message
+      );
+      error.code = job.errorCode;
+      error.jobId = job.id;
+      error.jobState = job.state;
+      error.resumable = job.resumable;
+      error.accounts = job.accounts;
+      throw error;
     }
 
-    // Initialize export session
-    const initResponse = await fetch(`${API_ENDPOINT}/export/init`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${auth.getAccessToken()}`,
-      },
-      body: JSON.stringify({ sessionId, totalChunks }),
-    });
+    return null;
+  };
+
+  /**
+   * Follow an export job through its Server-Sent Events stream
+   * EventSource can't send an Authorization header, so the stream is read with fetch
+   * @param {string} jobId - The job to follow
+   * @param {Function} progressCallback - Callback for progress updates
+   * @returns {Promise<Object|null>} - { filename } of the finished job, or null if the stream ended early
+   */
+  const _streamJob = async (jobId, progressCallback) => {
+    const response = await fetch(
+      `${API_ENDPOINT}/jobs/${encodeURIComponent(jobId)}/events`,
+      {
+        headers: {
+          Accept: "text/event-stream",
+          Authorization: `Bearer ${auth.getAccessToken()}`,
+        },
+      }
+    );
 
-    if (!initResponse.ok) {
-      const errorData = await initResponse.json().catch(() => ({}));
-      throw new Error(errorData.message || "Failed to initialize export session");
+    if (!response.ok || !response.body) {
+      return null;
     }
 
-    // Process liked videos in chunks
-    if (data.likedVideos && data.likedVideos.length > 0) {
-      const chunks = _chunkArray(data.likedVideos, BATCH_SIZE);
-      for (let i = 0; i < chunks.length; i++) {
-        if (progressCallback) {
-          currentProgress = 85 + (10 * (processedChunks / totalChunks));
-          progressCallback(
-            currentProgress,
-            `Exporting liked videos part ${i + 1}/${chunks.length}...`
-          );
-        }
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
 
-        const response = await fetch(`${API_ENDPOINT}/export/chunk`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${auth.getAccessToken()}`,
-          },
-          body: JSON.stringify({
-            sessionId,
-            chunkIndex: processedChunks,
-            dataType: "likedVideos",
-            data: chunks[i],
-          }),
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.message || "Failed to export data chunk");
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) {
+        return null;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        const frame = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLines = frame
+          .split("\n")
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).trim());
+
+        if (dataLines.length === 0) {
+          continue; // Heartbeat comment
         }
 
-        processedChunks++;
+        const result = _handleJobUpdate(JSON.parse(dataLines.join("\n")), progressCallback);
+        if (result) {
+          reader.cancel();
+          return result;
+        }
       }
     }
+  };
 
-    // Process watch history in chunks
-    if (data.watchHistory && data.watchHistory.length > 0) {
-      const chunks = _chunkArray(data.watchHistory, BATCH_SIZE);
-      for (let i = 0; i < chunks.length; i++) {
-        if (progressCallback) {
-          currentProgress = 85 + (10 * (processedChunks / totalChunks));
-          progressCallback(
-            currentProgress,
-            `Exporting watch history part ${i + 1}/${chunks.length}...`
-          );
-        }
+  /**
+   * Poll an export job until it completes or fails
+   * @param {string} jobId - The job to watch
+   * @param {Function} progressCallback - Callback for progress updates
+   * @returns {Promise<string|null>} - Filename of the exported data, null if there was nothing new
+   */
+  const _pollJob = async (jobId, progressCallback) => {
+    for (;;) {
+      let job;
 
-        const response = await fetch(`${API_ENDPOINT}/export/chunk`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${auth.getAccessToken()}`,
-          },
-          body: JSON.stringify({
-            sessionId,
-            chunkIndex: processedChunks,
-            dataType: "watchHistory",
-            data: chunks[i],
-          }),
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(errorData.message || "Failed to export data chunk");
+      try {
+        job = await _request(`jobs/${encodeURIComponent(jobId)}`);
+      } catch (error) {
+        // The server no longer knows the job; stop tracking it
+        if (error.status === 404) {
+          localStorage.removeItem(JOB_KEY);
         }
+        throw error;
+      }
 
-        processedChunks++;
+      const result = _handleJobUpdate(job, progressCallback);
+      if (result) {
+        return result.filename;
       }
-    }
 
-    // Finalize the export and get the filename
-    if (progressCallback) {
-      progressCallback(95, "Finalizing export...");
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
     }
+  };
 
-    const finalizeResponse = await fetch(`${API_ENDPOINT}/export/finalize`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${auth.getAccessToken()}`,
-      },
-      body: JSON.stringify({ sessionId }),
-    });
+  /**
+   * Follow an export job, preferring live events and falling back to polling
+   * @param {string} jobId - The job to watch
+   * @param {Function} progressCallback - Callback for progress updates
+   * @returns {Promise<string|null>} - Filename of the exported data, null if there was nothing new
+   */
+  const _watchJob = async (jobId, progressCallback) => {
+    let result = null;
 
-    if (!finalizeResponse.ok) {
-      const errorData = await finalizeResponse.json().catch(() => ({}));
-      throw new Error(errorData.message || "Failed to finalize export");
+    try {
+      result = await _streamJob(jobId, progressCallback);
+    } catch (error) {
+      // A finished job is final; anything else means the stream broke
+      if (error.jobState) {
+        throw error;
+      }
+      console.warn("Progress stream interrupted, polling instead:", error);
     }
 
-    const result = await finalizeResponse.json();
-    return result.filename;
+    return result ? result.filename : _pollJob(jobId, progressCallback);
   };
 
   // Public API
   return {
     /**
-     * Export YouTube data based on provided options
+     * Start a server-side export job and wait for it to finish
      * @param {Object} options - Export options
      * @param {boolean} options.likedVideos - Whether to export liked videos
      * @param {boolean} options.watchHistory - Whether to export watch history
+     * @param {File} [options.watchHistoryFile] - Takeout watch-history file to use instead of the API
+     * @param {boolean} options.subscriptions - Whether to export subscriptions
+     * @param {boolean} options.playlists - Whether to export playlists and their items
+     * @param {boolean} [options.onlyNew] - Only export liked videos and history added since the last export
+     * @param {boolean} [options.forceRefresh] - Fetch everything from YouTube again instead of using cached responses
      * @param {number} options.maxResults - Maximum number of results to retrieve per category
+     * @param {Object} [options.filters] - Date, channel, duration and keyword filters
+     * @param {Object} [options.columns] - Field names to export, in order, keyed by data type
+     * @param {string} [options.format="csv"] - Output format (csv, zip, xlsx, json or ndjson)
+     * @param {string[]} [options.accountIds] - Signed-in accounts to export besides the active one
+     * @param {number} [options.retentionHours] - How long the server keeps the file
      * @param {Function} progressCallback - Callback function for progress updates
-     * @returns {Promise<string>} - Filename of the exported data
+     * @returns {Promise<string|null>} - Filename of the exported data, null when an export
+     *   of only new data found nothing new
      */
     async exportData(options, progressCallback) {
-      let totalProgress = 0;
-      let dataToExport = {};
-      let errors = [];
-
-      // Update progress at the start
       if (progressCallback) {
         progressCallback(0, "Starting export...");
       }
 
-      // Fetch liked videos if selected
-      if (options.likedVideos) {
+      const { watchHistoryFile, accountIds = [], ...jobOptions } = options;
+      jobOptions.accountTokens = await auth.getAccessTokens(accountIds);
+
+      // Parse a Takeout file first; the job picks it up by ID
+      if (options.watchHistory && watchHistoryFile) {
         if (progressCallback) {
-          progressCallback(5, "Fetching liked videos...");
+          progressCallback(0, "Uploading watch history file...");
         }
 
-        try {
-          const likedVideos = await _fetchData("liked", {
-            maxResults: options.maxResults,
-          });
-
-          dataToExport.likedVideos = likedVideos;
-          totalProgress = 40;
-
-          if (progressCallback) {
-            progressCallback(
-              totalProgress,
-              `Retrieved ${likedVideos.length} liked videos`
-            );
-          }
-        } catch (error) {
-          console.error("Error fetching liked videos:", error);
-          errors.push("Could not fetch liked videos: " + error.message);
-          dataToExport.likedVideos = []; // Use empty array to continue
-          totalProgress = 40;
-          if (progressCallback) {
-            progressCallback(totalProgress, "Liked videos unavailable");
-          }
-        }
+        const result = await _uploadTakeoutFile(watchHistoryFile, options.maxResults);
+        jobOptions.watchHistoryImportId = result.importId;
       }
 
-      // Fetch watch history if selected
-      if (options.watchHistory) {
-        if (progressCallback) {
-          progressCallback(
-            options.likedVideos ? 45 : 5,
-            "Fetching watch history..."
-          );
-        }
+      const job = await _request("jobs", {
+        method: "POST",
+        body: JSON.stringify(jobOptions),
+      });
 
-        try {
-          const watchHistory = await _fetchData("history", {
-            maxResults: options.maxResults,
-          });
-
-          dataToExport.watchHistory = watchHistory;
-          totalProgress = options.likedVideos ? 80 : 40;
-
-          if (progressCallback) {
-            progressCallback(
-              totalProgress,
-              `Retrieved ${watchHistory.length} watch history items`
-            );
-          }
-        } catch (error) {
-          console.error("Error fetching watch history:", error);
-          errors.push("Could not fetch watch history: " + error.message);
-          dataToExport.watchHistory = []; // Use empty array to continue
-          totalProgress = options.likedVideos ? 80 : 40;
-          if (progressCallback) {
-            progressCallback(totalProgress, "Watch history unavailable");
-          }
-        }
-      }
+      // Remember the job so the page can pick it up again after a reload
+      localStorage.setItem(JOB_KEY, job.id);
 
-      // Check if we have any data to export
-      if (
-        (dataToExport.likedVideos && dataToExport.likedVideos.length === 0) &&
-        (dataToExport.watchHistory && dataToExport.watchHistory.length === 0)
-      ) {
-        // Only throw if both are empty and both were requested
-        if (options.likedVideos && options.watchHistory) {
-          throw new Error("No data available to export. YouTube API restrictions may prevent access to this data.");
-        }
-      }
+      return _watchJob(job.id, progressCallback);
+    },
 
-      // Generate the CSV file on the server using batched approach
-      if (progressCallback) {
-        progressCallback(85, "Generating CSV file...");
+    /**
+     * Estimate the most YouTube API quota an export can use
+     * @param {Object} options - Export options (data types, maxResults)
+     * @param {number} [accountCount=1] - Number of accounts exported
+     * @returns {Promise<Object>} { estimate: { units, byDataType }, usage }
+     */
+    async estimateExport(options, accountCount = 1) {
+      return _request("jobs/estimate", {
+        method: "POST",
+        body: JSON.stringify({ ...options, accountCount }),
+      });
+    },
+
+    /**
+     * Get today's YouTube API quota usage
+     * @returns {Promise<Object>} { day, used, budget, remaining, byMethod }
+     */
+    async getQuota() {
+      return _request("quota");
+    },
+
+    /**
+     * Check whether an export started earlier is still being tracked
+     * @returns {boolean} Whether there is an export to resume
+     */
+    hasActiveExport() {
+      return !!localStorage.getItem(JOB_KEY);
+    },
+
+    /**
+     * Resume watching an export started before the page was reloaded
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @returns {Promise<string|null>} - Filename of the exported data, null if there was nothing new
+     */
+    async resumeExport(progressCallback) {
+      const jobId = localStorage.getItem(JOB_KEY);
+
+      if (!jobId) {
+        throw new Error("No export in progress");
       }
 
-      try {
-        // Determine if we should use batched export (for large datasets)
-        const totalItems = 
-          (dataToExport.likedVideos ? dataToExport.likedVideos.length : 0) + 
-          (dataToExport.watchHistory ? dataToExport.watchHistory.length : 0);
-        
-        let filename;
-        
-        if (totalItems > BATCH_SIZE) {
-          // Use batched export for large datasets
-          filename = await _batchedExport(dataToExport, progressCallback);
-        } else {
-          // Use simple export for small datasets
-          const response = await fetch(`${API_ENDPOINT}/export`, {
-            method: "POST",
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${auth.getAccessToken()}`,
-            },
-            body: JSON.stringify(dataToExport),
-          });
-
-          if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || "Failed to generate CSV file");
-          }
-
-          const result = await response.json();
-          filename = result.filename;
-        }
+      return _watchJob(jobId, progressCallback);
+    },
 
-        if (progressCallback) {
-          let message = "Export completed!";
-          if (errors.length > 0) {
-            message += " (with some warnings)";
-          }
-          progressCallback(100, message);
-        }
+    /**
+     * Cancel the export that is currently running
+     * @returns {Promise<void>}
+     */
+    async cancelExport() {
+      const jobId = localStorage.getItem(JOB_KEY);
 
-        return filename;
-      } catch (error) {
-        console.error("Error generating CSV:", error);
-        throw error;
+      if (!jobId) {
+        return;
       }
+
+      await _request(`jobs/${encodeURIComponent(jobId)}/cancel`, { method: "POST" });
+    },
+
+    /**
+     * Resume a failed, cancelled, interrupted or paused export from its last checkpoint
+     * @param {string} jobId - The job to resume
+     * @param {Function} progressCallback - Callback function for progress updates
+     * @param {string[]} [accountIds] - The job's accounts besides the active one
+     * @returns {Promise<string|null>} - Filename of the exported data, null if there was nothing new
+     */
+    async resumeFailedExport(jobId, progressCallback, accountIds = []) {
+      await _request(`jobs/${encodeURIComponent(jobId)}/resume`, {
+        method: "POST",
+        body: JSON.stringify({ accountTokens: await auth.getAccessTokens(accountIds) }),
+      });
+      localStorage.setItem(JOB_KEY, jobId);
+
+      return _watchJob(jobId, progressCallback);
+    },
+
+    /**
+     * Get a signed, expiring link to download an export file
+     * @param {string} filename - Filename of the export
+     * @returns {Promise<string>} URL of the file
+     */
+    async getDownloadUrl(filename) {
+      const { url } = await _request(`downloads/${encodeURIComponent(filename)}/link`, {
+        method: "POST",
+      });
+      return url;
+    },
+
+    /**
+     * List the active account's past exports, newest first
+     * @returns {Promise<Array>} Exports ({ filename, format, dataTypes, counts, size, available, createdAt, expiresAt, ... })
+     */
+    async listExports() {
+      const { exports } = await _request("exports");
+      return exports;
+    },
+
+    /**
+     * Delete a past export, its file and its history entry
+     * @param {string} filename - Filename of the export
+     * @returns {Promise<void>}
+     */
+    async deleteExport(filename) {
+      await _request(`exports/${encodeURIComponent(filename)}`, { method: "DELETE" });
+    },
+
+    /**
+     * Get the fields (columns) available for each data type
+     * @returns {Promise<Array>} Data types with their fields
+     */
+    async getFields() {
+      return _request("fields");
+    },
+
+    /**
+     * Get the export preferences saved for the signed-in account
+     * @returns {Promise<Object>} Preferences, e.g. { columns }
+     */
+    async getPreferences() {
+      return _request("preferences");
+    },
+
+    /**
+     * Save export preferences for the signed-in account
+     * @param {Object} preferences - Preferences to save, e.g. { columns }
+     * @returns {Promise<Object>} The saved preferences
+     */
+    async savePreferences(preferences) {
+      return _request("preferences", {
+        method: "PUT",
+        body: JSON.stringify(preferences),
+      });
     },
 
     /**
@@ -352,4 +446,4 @@ const dataHandler = (() => {
       return _fetchData("statistics");
     },
   };
-})();
\ No newline at end of file
+})();
@@ -1,8 +1,32 @@
 /**
  * Application configuration
  */
+const crypto = require("crypto");
 require("dotenv").config();
 
+/**
+ * Read a non-negative number from an environment variable
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Used when the variable is unset or empty
+ * @returns {number} The number
+ * @throws {Error} If the variable is set to anything else, so a typo stops the
+ *   server at startup instead of surfacing later as odd behavior
+ */
+const readNonNegativeNumber = (name, defaultValue) => {
+  const value = process.env[name];
+
+  if (value === undefined || value.trim() === "") {
+    return defaultValue;
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+
+  return number;
+};
+
 // Define the configuration
 const config = {
   // Server settings
@@ -28,26 +52,104 @@ const config = {
   youtube: {
     apiKey: process.env.YOUTUBE_API_KEY,
     apiBase: "https://www.googleapis.com/youtube/v3",
+    // Quota units the app may spend per day (Google's default project quota is 10,000)
+    dailyQuotaBudget: readNonNegativeNumber("YOUTUBE_QUOTA_BUDGET", 10000),
+    // Retries of rate-limited and failed requests, with exponential backoff
+    maxRetries: readNonNegativeNumber("YOUTUBE_MAX_RETRIES", 4),
+    retryBaseDelay: 500, // milliseconds
+    retryMaxDelay: 30 * 1000, // 30 seconds
+    // Cached responses younger than this are used without asking YouTube; older
+    // ones are revalidated with their ETag (0 always revalidates)
+    cacheTtl: readNonNegativeNumber("YOUTUBE_CACHE_TTL", 10 * 60 * 1000), // 10 minutes
+    cacheMaxAge: 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+  },
+
+  // Record-and-replay of YouTube API responses, for offline development and tests
+  fixtures: {
+    // "live" (default), "record" (live, saving every response) or "replay"
+    // (offline: responses come from the fixtures and sign-in is faked)
+    mode: process.env.YOUTUBE_MODE || "live",
+    dir: process.env.FIXTURES_DIR || "./fixtures/recorded",
   },
 
   // Security settings
   security: {
     sessionSecret: process.env.SESSION_SECRET || "youtube-data-exporter-secret",
     corsOrigin: process.env.CORS_ORIGIN || "http://localhost:3000",
+    // How long a verified access token is trusted before asking Google again
+    tokenVerifyCacheTtl: readNonNegativeNumber(
+      "TOKEN_VERIFY_CACHE_TTL",
+      5 * 60 * 1000 // 5 minutes
+    ),
+    // Signs download links (the session secret is used when unset). Without
+    // either, a random secret is used and links stop working on restart
+    downloadSecret:
+      process.env.DOWNLOAD_LINK_SECRET ||
+      process.env.SESSION_SECRET ||
+      crypto.randomBytes(32).toString("hex"),
   },
 
   // File storage settings
   storage: {
+    // Where export files, chunked uploads and Takeout imports are kept: "local"
+    // (tempDir, the default) or "s3" (shared by several server instances)
+    driver: process.env.STORAGE_DRIVER || "local",
     tempDir: process.env.TEMP_DIR || "./temp",
     maxFileAge: 60 * 60 * 1000, // 1 hour in milliseconds
+    // How long export files are kept, unless an export asks for another retention
+    exportRetention: readNonNegativeNumber("EXPORT_RETENTION", 60 * 60 * 1000), // 1 hour
+    maxExportRetention: readNonNegativeNumber(
+      "MAX_EXPORT_RETENTION",
+      30 * 24 * 60 * 60 * 1000 // 30 days
+    ),
+    // How long past exports stay in the export history
+    exportHistoryAge: 90 * 24 * 60 * 60 * 1000, // 90 days in milliseconds
+    // S3 or an S3-compatible service such as MinIO (STORAGE_DRIVER=s3)
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT,
+      // MinIO and most self-hosted services need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      prefix: process.env.S3_PREFIX || "",
+    },
+    // How long a signed download link works
+    downloadLinkTtl: readNonNegativeNumber("DOWNLOAD_LINK_TTL", 15 * 60 * 1000), // 15 minutes
+    // State that must survive restarts (export jobs and their checkpoints)
+    dataDir: process.env.DATA_DIR || "./data",
+    maxJobAge: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
+  },
+
+  // OAuth token persistence (refresh tokens survive restarts)
+  tokenStore: {
+    type: process.env.TOKEN_STORE || "file", // "file" (encrypted) or "sqlite"
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
   },
 };
 
+// Without a key the stored tokens are encrypted with the session secret, whose
+// default is public
+if (config.server.nodeEnv === "production" && !config.tokenStore.encryptionKey) {
+  throw new Error("TOKEN_ENCRYPTION_KEY must be set in production");
+}
+
+// A random download secret differs between server instances and restarts
+if (
+  config.server.nodeEnv === "production" &&
+  !process.env.DOWNLOAD_LINK_SECRET &&
+  !process.env.SESSION_SECRET
+) {
+  throw new Error("DOWNLOAD_LINK_SECRET or SESSION_SECRET must be set in production");
+}
+
 // Log important config values
 console.log("Environment variables loaded:");
 console.log("- Google Client ID exists:", !!config.google.clientId);
 console.log("- Google Client Secret exists:", !!config.google.clientSecret);
 console.log("- Google Redirect URI:", config.google.redirectUri);
 console.log("- CORS Origin:", config.security.corsOrigin);
+console.log("- Token store:", config.tokenStore.type);
+console.log("- Storage driver:", config.storage.driver);
+console.log("- YouTube mode:", config.fixtures.mode);
 
 module.exports = config;
@@ -1,9 +1,13 @@
 /**
  * Authentication Controller
  */
+const crypto = require("crypto");
 const { google } = require("googleapis");
 const config = require("../config/config");
 const authService = require("../services/authService");
+const youtubeService = require("../services/youtubeService");
+const fixtureService = require("../services/fixtureService");
+const { AppError } = require("../utils/errors");
 
 // Create OAuth2 client
 const oauth2Client = new google.auth.OAuth2(
@@ -12,25 +16,76 @@ const oauth2Client = new google.auth.OAuth2(
   config.google.redirectUri
 );
 
+// How long a started login can take before its callback is refused
+const LOGIN_TIMEOUT = 10 * 60 * 1000;
+
 // Generate the OAuth2 URL with appropriate scopes
-const generateAuthUrl = () => {
+const generateAuthUrl = (state, codeChallenge) => {
+  // Replay mode has no Google consent screen: "consent" goes straight to the callback
+  if (fixtureService.isReplaying()) {
+    const url = new URL(config.google.redirectUri);
+    url.search = new URLSearchParams({ code: "replay", state }).toString();
+    return url.toString();
+  }
+
   return oauth2Client.generateAuthUrl({
     access_type: "offline",
     scope: config.google.scopes,
-    prompt: "consent", // Always prompt for consent to ensure refresh token is returned
+    // Always prompt for consent to ensure refresh token is returned, and let
+    // the user pick which Google account to add
+    prompt: "select_account consent",
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
   });
 };
 
+/**
+ * Exchange an authorization code for tokens
+ * @param {string} code - Code from the callback
+ * @param {string} codeVerifier - PKCE verifier of the login; proves this server started it
+ * @returns {Promise<Object>} Tokens ({ access_token, refresh_token, expiry_date, ... })
+ */
+const exchangeCode = async (code, codeVerifier) => {
+  if (fixtureService.isReplaying()) {
+    return fixtureService.createTokens();
+  }
+
+  const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
+  return tokens;
+};
+
+/**
+ * Compare the state returned by Google with the one issued for this session
+ * @param {string} expected - State stored in the session
+ * @param {*} received - State from the callback query
+ * @returns {boolean} Whether they match
+ */
+const isExpectedState = (expected, received) => {
+  if (typeof received !== "string" || received.length !== expected.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
 module.exports = {
   /**
    * Initiate OAuth flow
+   * The state and PKCE code verifier are kept in the session until the callback.
    */
-  initiateOAuth(req, res) {
+  async initiateOAuth(req, res, next) {
     try {
       console.log("Initiating OAuth flow");
+      const state = crypto.randomBytes(32).toString("base64url");
+      const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+
+      // Starting again replaces an earlier, unfinished login
+      req.session.oauthLogin = { state, codeVerifier, startedAt: Date.now() };
+
       // Generate authentication URL
-      const authUrl = generateAuthUrl();
-      console.log("Auth URL generated:", authUrl);
+      const authUrl = generateAuthUrl(state, codeChallenge);
+      console.log("Auth URL generated");
 
       // Render a simple HTML page that will redirect or post message to parent
       res.send(`
@@ -60,8 +115,7 @@ module.exports = {
             </html>
         `);
     } catch (error) {
-      console.error("OAuth initiation error:", error);
-      res.status(500).json({ error: "Failed to initiate authentication" });
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to initiate authentication"));
     }
   },
 
@@ -69,7 +123,47 @@ module.exports = {
    * Handle OAuth callback
    */
   async handleOAuthCallback(req, res) {
-    const { code } = req.query;
+    const { code, state, error: authError } = req.query;
+
+    // A login can only be completed once
+    const login = req.session.oauthLogin;
+    delete req.session.oauthLogin;
+
+    // Only accept callbacks for a login started in this browser session
+    if (!login || !isExpectedState(login.state, state)) {
+      console.warn("Rejected OAuth callback with an unknown state");
+      return sendAuthResponse(
+        res,
+        false,
+        "This sign-in request was not started here or was already used. Please sign in again.",
+        null,
+        null,
+        null,
+        403
+      );
+    }
+
+    if (Date.now() - login.startedAt > LOGIN_TIMEOUT) {
+      return sendAuthResponse(
+        res,
+        false,
+        "The sign-in request has expired. Please sign in again.",
+        null,
+        null,
+        null,
+        403
+      );
+    }
+
+    if (authError) {
+      return sendAuthResponse(
+        res,
+        false,
+        authError === "access_denied"
+          ? "Access to your YouTube account was not granted."
+          : "Google could not complete the sign-in. Please try again."
+      );
+    }
 
     // Check if code is present
     if (!code) {
@@ -77,18 +171,34 @@ module.exports = {
     }
 
     try {
-      // Exchange code for tokens
-      const { tokens } = await oauth2Client.getToken(code);
-      const { access_token, refresh_token, expiry_date } = tokens;
+      const tokens = await exchangeCode(code, login.codeVerifier);
+      const { access_token, expiry_date } = tokens;
 
-      // Store tokens in session
-      req.session.tokens = tokens;
+      // Persist the tokens by account so they can be refreshed after a restart
+      let account = null;
+      try {
+        const channel = await youtubeService.getChannelSummary(access_token);
+        account = {
+          accountId: channel.channelId,
+          title: channel.title,
+          thumbnailUrl: channel.thumbnailUrl,
+        };
+        await authService.storeTokens(account.accountId, tokens);
+        req.session.accountId = account.accountId;
+        // Every account signed in from this session, which only it can refresh
+        req.session.accountIds = [
+          ...new Set([...(req.session.accountIds || []), account.accountId]),
+        ];
+      } catch (error) {
+        // Signing in still works; the token just can't be renewed on the server
+        console.error("Error storing tokens:", error);
+      }
 
       // Calculate expires_in from expiry_date
       const expiresIn = Math.floor((expiry_date - Date.now()) / 1000);
 
       // Send success response
-      sendAuthResponse(res, true, null, access_token, expiresIn);
+      sendAuthResponse(res, true, null, access_token, expiresIn, account);
     } catch (error) {
       console.error("OAuth callback error:", error);
       sendAuthResponse(res, false, "Failed to complete authentication");
@@ -98,32 +208,24 @@ module.exports = {
   /**
    * Refresh access token
    */
-  async refreshToken(req, res) {
+  async refreshToken(req, res, next) {
     const { token } = req.body;
 
     if (!token) {
-      return res.status(400).json({ error: "Token is required" });
+      return next(new AppError("TOKEN_MISSING", "Token is required"));
     }
 
     try {
-      // Use the refresh token associated with this user in the database
-      // This is simplified - in a real app, you'd look up the refresh token for this user
-      const refreshToken = req.session.tokens?.refresh_token;
+      // Look up the refresh token stored for the account this token belongs to
+      const credentials = await authService.refreshAccessToken(
+        token,
+        req.session.accountIds || []
+      );
 
-      if (!refreshToken) {
-        return res.status(401).json({ error: "No refresh token available" });
+      if (!credentials) {
+        return next(new AppError("TOKEN_EXPIRED", "No refresh token available"));
       }
 
-      // Set credentials and refresh
-      oauth2Client.setCredentials({
-        refresh_token: refreshToken,
-      });
-
-      const { credentials } = await oauth2Client.refreshAccessToken();
-
-      // Update session
-      req.session.tokens = credentials;
-
       // Calculate expires_in
       const expiresIn = Math.floor(
         (credentials.expiry_date - Date.now()) / 1000
@@ -134,19 +236,18 @@ module.exports = {
         expires_in: expiresIn,
       });
     } catch (error) {
-      console.error("Token refresh error:", error);
-      res.status(500).json({ error: "Failed to refresh token" });
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to refresh token"));
     }
   },
 
   /**
    * Revoke access token
    */
-  async revokeToken(req, res) {
+  async revokeToken(req, res, next) {
     const { token } = req.body;
 
     if (!token) {
-      return res.status(400).json({ error: "Token is required" });
+      return next(new AppError("TOKEN_MISSING", "Token is required"));
     }
 
     try {
@@ -157,16 +258,31 @@ module.exports = {
 
       res.json({ success: true });
     } catch (error) {
-      console.error("Token revocation error:", error);
-      res.status(500).json({ error: "Failed to revoke token" });
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to revoke token"));
     }
   },
 
+  /**
+   * Get token verification cache metrics
+   */
+  getMetrics(req, res) {
+    res.json({ tokenVerification: authService.getVerificationStats() });
+  },
+
   /**
    * Get current auth status
    */
-  getAuthStatus(req, res) {
-    const tokens = req.session.tokens;
+  async getAuthStatus(req, res) {
+    let tokens;
+
+    try {
+      const record = req.session.accountId
+        ? await authService.getTokens(req.session.accountId)
+        : null;
+      tokens = record?.tokens;
+    } catch (error) {
+      console.error("Error reading stored tokens:", error);
+    }
 
     if (!tokens || !tokens.access_token) {
       return res.json({ authenticated: false });
@@ -187,10 +303,23 @@ module.exports = {
 
 /**
  * Helper function to send OAuth response to client
+ * The account ({ accountId, title, thumbnailUrl }) lets the client keep several
+ * accounts signed in; it is null when the channel could not be identified.
  */
-function sendAuthResponse(res, success, error, token, expiresIn) {
+function sendAuthResponse(
+  res,
+  success,
+  error,
+  token,
+  expiresIn,
+  account = null,
+  status = success ? 200 : 400
+) {
+  // Channel titles are user input; keep them from closing the script tag
+  const accountJson = JSON.stringify(account).replace(/</g, "\\u003c");
+
   // Create HTML page that posts message to opener
-  res.send(`
+  res.status(status).send(`
         <!DOCTYPE html>
         <html>
         <head>
@@ -218,13 +347,15 @@ function sendAuthResponse(res, success, error, token, expiresIn) {
                         success: ${success},
                         ${
                           success
-                            ? `token: '${token}', expiresIn: ${expiresIn}`
-                            : `error: '${error}'`
+                            ? `token: '${token}', expiresIn: ${expiresIn}, account: ${accountJson}`
+                            : `error: ${JSON.stringify(error)}`
                         }
                     }, '${config.security.corsOrigin}');
                     
-                    // Close the window after a short delay
-                    setTimeout(() => window.close(), 1500);
+                    // Close the window after a short delay; errors stay readable
+                    if (${success}) {
+                        setTimeout(() => window.close(), 1500);
+                    }
                 }
             </script>
         </body>
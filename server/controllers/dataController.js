@@ -1,20 +1,287 @@
 /**
  * Data Controller
  */
+const crypto = require("crypto");
 const youtubeService = require("../services/youtubeService");
-const csvService = require("../services/csvService");
-const path = require("path");
-const fs = require("fs");
-const config = require("../config/config");
+const exporters = require("../services/exporters");
+const dataTypes = require("../services/dataTypes");
+const takeoutService = require("../services/takeoutService");
+const filterService = require("../services/filterService");
+const preferencesService = require("../services/preferencesService");
+const quotaService = require("../services/quotaService");
+const exportRegistry = require("../services/exportRegistry");
+const storage = require("../services/storage");
+const rowSource = require("../services/rowSource");
+const { AppError } = require("../utils/errors");
+
+// Chunked export sessions are kept in storage next to their chunks, so any server
+// instance can take the next chunk and an upload interrupted by a restart can
+// continue where it stopped
+//
+// A session is started with the number of chunks and items of each data type.
+// Chunks are numbered from 0 per data type and carry their item count and the
+// SHA-256 (hex) of their data array as serialized by JSON.stringify. Which chunks
+// arrived is read from storage rather than kept in the session, so chunks may be
+// sent in any order, in parallel and more than once.
+const SESSION_ID_PATTERN = /^[\w-]{1,64}$/;
+const MAX_CHUNKS = 10000;
+
+// <sessionId>/chunk_<dataType>_<chunkIndex>.json
+const CHUNK_KEY_PATTERN = /\/chunk_(\w+)_(\d+)\.json$/;
 
-// In-memory store for chunked exports (would use Redis or similar in production)
-const exportSessions = new Map();
+/**
+ * Count the rows of each data type
+ * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+ * @returns {Object} Row counts keyed by data type
+ */
+const countRows = (data) => {
+  const counts = {};
+  Object.keys(data).forEach((key) => {
+    counts[key] = data[key].length;
+  });
+  return counts;
+};
+
+/**
+ * Checksum of a chunk's items, as the client computes it
+ * @param {Array} items - Chunk items
+ * @returns {string} SHA-256 of the JSON-serialized items, in hex
+ */
+const checksumOf = (items) =>
+  crypto.createHash("sha256").update(JSON.stringify(items)).digest("hex");
+
+/**
+ * Read the chunk plan of a new export session
+ * @param {Object} plan - { <dataType>: { totalChunks, totalItems } } from the request
+ * @returns {Object} The plan
+ * @throws {AppError} INVALID_REQUEST for unknown data types and invalid totals
+ */
+const parseChunkPlan = (plan) => {
+  if (!plan || typeof plan !== "object" || Object.keys(plan).length === 0) {
+    throw new AppError(
+      "INVALID_REQUEST",
+      "dataTypes must give the total chunks and items of each data type"
+    );
+  }
+
+  const parsed = {};
+  Object.keys(plan).forEach((dataType) => {
+    const { totalChunks, totalItems } = plan[dataType] || {};
+
+    if (!dataTypes.DATA_TYPES.includes(dataType)) {
+      throw new AppError("INVALID_REQUEST", `Invalid data type: ${dataType}`);
+    }
+    if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_CHUNKS) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `totalChunks of ${dataType} must be between 1 and ${MAX_CHUNKS}`
+      );
+    }
+    if (!Number.isInteger(totalItems) || totalItems < 0) {
+      throw new AppError("INVALID_REQUEST", `totalItems of ${dataType} must be a count`);
+    }
+
+    parsed[dataType] = { totalChunks, totalItems };
+  });
+
+  return parsed;
+};
+
+/**
+ * Storage key of a chunk
+ * @param {string} sessionId - The session ID
+ * @param {string} dataType - Data type of the chunk
+ * @param {number} chunkIndex - Position of the chunk within its data type
+ * @returns {string} Storage key
+ */
+const chunkKey = (sessionId, dataType, chunkIndex) =>
+  `${sessionId}/chunk_${dataType}_${chunkIndex}.json`;
+
+/**
+ * Read a stored chunk and check it against its item count and checksum
+ * @param {string} key - Storage key of the chunk
+ * @returns {Promise<Object|null>} { checksum, itemCount, items }, or null when damaged
+ */
+const readChunk = async (key) => {
+  let chunk;
+  try {
+    chunk = JSON.parse(await storage.getStorage().get(key));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return null;
+    }
+    throw error;
+  }
+
+  const valid =
+    Array.isArray(chunk.items) &&
+    chunk.items.length === chunk.itemCount &&
+    checksumOf(chunk.items) === chunk.checksum;
+
+  return valid ? chunk : null;
+};
+
+/**
+ * Find the received and missing chunks of an export session
+ * @param {string} sessionId - The session ID
+ * @param {Object} session - The session state
+ * @returns {Promise<Object>} Per data type of the plan: { totalChunks, totalItems,
+ *   received (storage keys in chunk index order), missing (chunk indexes) }
+ */
+const listChunks = async (sessionId, session) => {
+  const chunks = {};
+  Object.keys(session.dataTypes).forEach((dataType) => {
+    chunks[dataType] = { ...session.dataTypes[dataType], indexes: [] };
+  });
+
+  for (const { key } of await storage.getStorage().list(sessionId)) {
+    const match = key.match(CHUNK_KEY_PATTERN);
+    if (match && chunks[match[1]]) {
+      chunks[match[1]].indexes.push(Number(match[2]));
+    }
+  }
+
+  Object.keys(chunks).forEach((dataType) => {
+    const { indexes, ...totals } = chunks[dataType];
+    const received = new Set(indexes);
+    const all = Array.from({ length: totals.totalChunks }, (_, index) => index);
+
+    // Listings are in name order, which puts chunk 10 before chunk 2
+    chunks[dataType] = {
+      ...totals,
+      received: all
+        .filter((index) => received.has(index))
+        .map((index) => chunkKey(sessionId, dataType, index)),
+      missing: all.filter((index) => !received.has(index)),
+    };
+  });
+
+  return chunks;
+};
+
+/**
+ * Collect the missing chunk indexes of every data type that has some
+ * @param {Object} chunks - Result of listChunks
+ * @returns {Object|null} Chunk indexes keyed by data type, or null when none are missing
+ */
+const missingChunks = (chunks) => {
+  const missing = {};
+  Object.keys(chunks).forEach((dataType) => {
+    if (chunks[dataType].missing.length > 0) {
+      missing[dataType] = chunks[dataType].missing;
+    }
+  });
+  return Object.keys(missing).length > 0 ? missing : null;
+};
+
+/**
+ * Check every chunk of a complete session before anything is exported. Damaged
+ * chunks are deleted so the client can send them again.
+ * @param {Object} chunks - Result of listChunks, with nothing missing
+ * @param {Function} [onChunk] - Called with the data type and items of every intact
+ *   chunk, e.g. to measure the rows while they are read anyway
+ * @returns {Promise<void>}
+ * @throws {AppError} INVALID_REQUEST when chunks are damaged or the item counts
+ *   do not add up to the totals the session was started with
+ */
+const verifyChunks = async (chunks, onChunk = () => {}) => {
+  const damaged = {};
+
+  for (const dataType of Object.keys(chunks)) {
+    let itemCount = 0;
+
+    for (const key of chunks[dataType].received) {
+      const chunk = await readChunk(key);
+
+      if (chunk) {
+        itemCount += chunk.itemCount;
+        onChunk(dataType, chunk.items);
+      } else {
+        await storage.getStorage().remove(key);
+        damaged[dataType] = damaged[dataType] || [];
+        damaged[dataType].push(Number(key.match(CHUNK_KEY_PATTERN)[2]));
+      }
+    }
+
+    if (!damaged[dataType] && itemCount !== chunks[dataType].totalItems) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `Received ${itemCount} items of ${dataType}, expected ${chunks[dataType].totalItems}`,
+        { details: { dataType, received: itemCount, expected: chunks[dataType].totalItems } }
+      );
+    }
+  }
+
+  if (Object.keys(damaged).length > 0) {
+    throw new AppError(
+      "INVALID_REQUEST",
+      "Some chunks failed verification and must be sent again",
+      { details: { missing: damaged } }
+    );
+  }
+};
+
+/**
+ * Storage key of the file holding an export session's state
+ * @param {string} sessionId - The session ID
+ * @returns {string} Storage key
+ */
+const sessionKey = (sessionId) => `${sessionId}/session.json`;
+
+/**
+ * Persist an export session
+ * @param {string} sessionId - The session ID
+ * @param {Object} session - The session state
+ * @returns {Promise<void>}
+ */
+const saveSession = (sessionId, session) =>
+  storage.getStorage().put(sessionKey(sessionId), JSON.stringify(session));
+
+/**
+ * Look up an export session
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<Object|undefined>} The session, if it exists
+ */
+const getSession = async (sessionId) => {
+  try {
+    return JSON.parse(await storage.getStorage().get(sessionKey(sessionId)));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Error loading export session ${sessionId}:`, error);
+    }
+    return undefined;
+  }
+};
+
+/**
+ * Look up an export session started by an account
+ * @param {string} sessionId - The session ID
+ * @param {string} accountId - ID of the requesting account (see youtubeService.getAccountId)
+ * @returns {Promise<Object>} The session
+ * @throws {AppError} NOT_FOUND for an unknown session and FORBIDDEN for another
+ *   account's session
+ */
+const getOwnedSession = async (sessionId, accountId) => {
+  const session = SESSION_ID_PATTERN.test(sessionId)
+    ? await getSession(sessionId)
+    : undefined;
+
+  if (!session) {
+    throw new AppError("NOT_FOUND", "Export session not found");
+  }
+
+  if (session.ownerId !== accountId) {
+    throw new AppError("FORBIDDEN", "This export session belongs to another account");
+  }
+
+  return session;
+};
 
 module.exports = {
   /**
    * Get liked videos
    */
-  async getLikedVideos(req, res) {
+  async getLikedVideos(req, res, next) {
     try {
       const maxResults = parseInt(req.query.maxResults, 10) || 50;
       const accessToken = req.token;
@@ -25,20 +292,16 @@ module.exports = {
         maxResults
       );
 
-      res.json(likedVideos);
+      res.json(filterService.applyFilters("likedVideos", likedVideos, req.filters));
     } catch (error) {
-      console.error("Error fetching liked videos:", error);
-      res.status(500).json({ 
-        error: "Failed to fetch liked videos",
-        message: error.message 
-      });
+      next(AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch liked videos"));
     }
   },
 
   /**
    * Get watch history
    */
-  async getWatchHistory(req, res) {
+  async getWatchHistory(req, res, next) {
     try {
       const maxResults = parseInt(req.query.maxResults, 10) || 50;
       const accessToken = req.token;
@@ -49,20 +312,107 @@ module.exports = {
         maxResults
       );
 
-      // Return empty array instead of error if no watch history is available
-      // This prevents frontend errors
-      res.json(watchHistory || []);
+      res.json(filterService.applyFilters("watchHistory", watchHistory, req.filters));
+    } catch (error) {
+      next(AppError.from(error, "HISTORY_UNAVAILABLE", "Failed to fetch watch history"));
+    }
+  },
+
+  /**
+   * Import a Google Takeout watch-history file (JSON or HTML)
+   */
+  async importWatchHistory(req, res, next) {
+    try {
+      const maxResults = parseInt(req.query.maxResults, 10) || undefined;
+
+      // The file is normally sent as a raw body, but accept already-parsed JSON too
+      let content = req.body;
+      if (!Buffer.isBuffer(content) && typeof content !== "string") {
+        content = Array.isArray(content) ? JSON.stringify(content) : "";
+      }
+
+      if (content.length === 0) {
+        return next(new AppError("INVALID_REQUEST", "No watch history file provided"));
+      }
+
+      const result = await takeoutService.importWatchHistory(
+        content,
+        await youtubeService.getAccountId(req.token),
+        maxResults
+      );
+
+      res.json(result);
+    } catch (error) {
+      next(AppError.from(error, "INVALID_REQUEST", "Failed to import watch history"));
+    }
+  },
+
+  /**
+   * Get subscriptions
+   */
+  async getSubscriptions(req, res, next) {
+    try {
+      const maxResults = parseInt(req.query.maxResults, 10) || 50;
+      const accessToken = req.token;
+
+      // Get subscriptions from YouTube API
+      const subscriptions = await youtubeService.getSubscriptions(
+        accessToken,
+        maxResults
+      );
+
+      res.json(filterService.applyFilters("subscriptions", subscriptions, req.filters));
     } catch (error) {
-      console.error("Error fetching watch history:", error);
-      // Return empty array instead of error to prevent frontend crashes
-      res.json([]);
+      next(AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch subscriptions"));
+    }
+  },
+
+  /**
+   * Get the user's playlists
+   */
+  async getPlaylists(req, res, next) {
+    try {
+      const maxResults = parseInt(req.query.maxResults, 10) || 50;
+      const accessToken = req.token;
+
+      // Get playlists from YouTube API
+      const playlists = await youtubeService.getPlaylists(
+        accessToken,
+        maxResults
+      );
+
+      res.json(filterService.applyFilters("playlists", playlists, req.filters));
+    } catch (error) {
+      next(AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch playlists"));
+    }
+  },
+
+  /**
+   * Get the items of a single playlist
+   */
+  async getPlaylistItems(req, res, next) {
+    try {
+      const { playlistId } = req.params;
+      const maxResults = parseInt(req.query.maxResults, 10) || 50;
+      const accessToken = req.token;
+
+      // Get playlist items from YouTube API
+      const playlistItems = await youtubeService.getPlaylistItems(
+        accessToken,
+        playlistId,
+        maxResults
+      );
+
+      res.json(filterService.applyFilters("playlistItems", playlistItems, req.filters));
+    } catch (error) {
+      next(AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch playlist items"));
     }
   },
 
   /**
    * Get channel statistics
    */
-  async getStatistics(req, res) {
+  async getStatistics(req, res, next) {
     try {
       const accessToken = req.token;
 
@@ -71,190 +421,369 @@ module.exports = {
 
       res.json(statistics);
     } catch (error) {
-      console.error("Error fetching statistics:", error);
-      res.status(500).json({ 
-        error: "Failed to fetch statistics",
-        message: error.message
-      });
+      next(AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch statistics"));
+    }
+  },
+
+  /**
+   * List the fields (columns) available for each data type
+   */
+  getFields(req, res) {
+    res.json(dataTypes.listFields());
+  },
+
+  /**
+   * Get the signed-in account's export preferences
+   */
+  async getPreferences(req, res, next) {
+    try {
+      const accountId = await youtubeService.getAccountId(req.token);
+      const preferences = await preferencesService.getPreferences(accountId);
+
+      res.json(preferences);
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to fetch preferences"));
+    }
+  },
+
+  /**
+   * Get today's YouTube API quota usage
+   */
+  async getQuota(req, res, next) {
+    try {
+      res.json(await quotaService.getUsage());
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to read quota usage"));
     }
   },
 
   /**
-   * Export data to CSV (single request)
+   * Save the signed-in account's export preferences
    */
-  async exportToCsv(req, res) {
+  async savePreferences(req, res, next) {
+    let columns;
+
     try {
-      const { likedVideos, watchHistory } = req.body;
+      columns = dataTypes.parseColumns(req.body.columns);
+    } catch (error) {
+      return next(new AppError("INVALID_REQUEST", `Invalid columns: ${error.message}`));
+    }
 
-      // Check if there's at least one valid data type
-      const hasLikedVideos = Array.isArray(likedVideos) && likedVideos.length > 0;
-      const hasWatchHistory = Array.isArray(watchHistory) && watchHistory.length > 0;
+    try {
+      const accountId = await youtubeService.getAccountId(req.token);
+      const preferences = await preferencesService.savePreferences(accountId, { columns });
 
-      if (!hasLikedVideos && !hasWatchHistory) {
-        return res.status(400).json({ error: "No data provided for export" });
+      res.json(preferences);
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to save preferences"));
+    }
+  },
+
+  /**
+   * Export data to a file (single request)
+   */
+  async exportData(req, res, next) {
+    try {
+      const format = req.body.format || "csv";
+
+      if (!exporters.getExporter(format)) {
+        return next(new AppError("INVALID_REQUEST", `Unsupported export format: ${format}`));
       }
 
-      // Generate CSV files
-      const filename = await csvService.generateCsv({
-        likedVideos: hasLikedVideos ? likedVideos : [],
-        watchHistory: hasWatchHistory ? watchHistory : []
+      let columns;
+      try {
+        columns = dataTypes.parseColumns(req.body.columns);
+      } catch (error) {
+        return next(new AppError("INVALID_REQUEST", `Invalid columns: ${error.message}`));
+      }
+
+      const retention = exportRegistry.parseRetention(req.body.retentionHours);
+
+      // Keep only the data types that actually carry rows
+      const data = {};
+      dataTypes.DATA_TYPES.forEach((dataType) => {
+        const items = req.body[dataType];
+        data[dataType] = Array.isArray(items) ? items : [];
+      });
+
+      // The file belongs to the requesting account; identify it before writing anything
+      const ownerId = await youtubeService.getAccountId(req.token);
+
+      // Use an imported Takeout file as the watch history section
+      if (req.body.watchHistoryImportId) {
+        data.watchHistory = await takeoutService.loadImport(
+          req.body.watchHistoryImportId,
+          ownerId
+        );
+      }
+
+      if (!Object.values(data).some((items) => items.length > 0)) {
+        return next(new AppError("INVALID_REQUEST", "No data provided for export"));
+      }
+
+      // Generate the export file
+      const exportData = filterService.filterData(data, req.filters);
+      const filename = await exporters.generateExport(exportData, format, { columns });
+      await exportRegistry.register({
+        filename,
+        ownerId,
+        format,
+        counts: countRows(exportData),
+        filters: req.filters,
+        retention,
       });
 
       res.json({ filename });
     } catch (error) {
-      console.error("Error exporting to CSV:", error);
-      res.status(500).json({ 
-        error: "Failed to export data to CSV",
-        message: error.message 
-      });
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to export data"));
     }
   },
 
   /**
    * Initialize a chunked export session
+   * Starting a session again with the same plan is harmless; it keeps the chunks
+   * received so far.
    */
-  async initExport(req, res) {
+  async initExport(req, res, next) {
     try {
-      const { sessionId, totalChunks } = req.body;
+      const { sessionId, watchHistoryImportId } = req.body;
 
-      if (!sessionId || !totalChunks) {
-        return res.status(400).json({ error: "Session ID and total chunks are required" });
+      if (!sessionId || !req.body.dataTypes) {
+        return next(
+          new AppError("INVALID_REQUEST", "Session ID and the chunks per data type are required")
+        );
+      }
+
+      if (!SESSION_ID_PATTERN.test(sessionId)) {
+        return next(new AppError("INVALID_REQUEST", "Invalid session ID"));
+      }
+
+      const plan = parseChunkPlan(req.body.dataTypes);
+      const ownerId = await youtubeService.getAccountId(req.token);
+      const existing = await getSession(sessionId);
+
+      if (existing) {
+        if (existing.ownerId !== ownerId) {
+          return next(
+            new AppError("FORBIDDEN", "This export session belongs to another account")
+          );
+        }
+
+        if (
+          JSON.stringify(existing.dataTypes) !== JSON.stringify(plan) ||
+          existing.watchHistoryImportId !== watchHistoryImportId
+        ) {
+          return next(
+            new AppError("CONFLICT", "Export session already exists with a different plan")
+          );
+        }
+
+        return res.json({ success: true, message: "Export session already initialized" });
       }
 
       // Create a new export session
-      exportSessions.set(sessionId, {
+      await saveSession(sessionId, {
+        ownerId,
         createdAt: Date.now(),
-        totalChunks,
-        receivedChunks: 0,
-        likedVideos: [],
-        watchHistory: [],
-        chunkStatus: new Array(totalChunks).fill(false),
+        dataTypes: plan,
+        watchHistoryImportId,
       });
 
-      // Create temp directory for chunks if it doesn't exist
-      const chunksDir = path.join(config.storage.tempDir, sessionId);
-      if (!fs.existsSync(chunksDir)) {
-        fs.mkdirSync(chunksDir, { recursive: true });
-      }
-
       res.json({ success: true, message: "Export session initialized" });
     } catch (error) {
-      console.error("Error initializing export:", error);
-      res.status(500).json({ error: "Failed to initialize export session" });
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to initialize export session"));
     }
   },
 
   /**
    * Add a chunk to an export session
+   * Sending a chunk again with the same content is a no-op, so a client unsure
+   * whether a chunk arrived can simply send it again.
    */
-  async addExportChunk(req, res) {
+  async addExportChunk(req, res, next) {
     try {
-      const { sessionId, chunkIndex, dataType, data } = req.body;
+      const { sessionId, dataType, chunkIndex, itemCount, checksum, data } = req.body;
+
+      if (
+        !sessionId ||
+        !dataType ||
+        chunkIndex === undefined ||
+        itemCount === undefined ||
+        !checksum ||
+        !data
+      ) {
+        return next(new AppError("INVALID_REQUEST", "Missing required fields for chunk export"));
+      }
 
-      if (!sessionId || chunkIndex === undefined || !dataType || !data) {
-        return res.status(400).json({ error: "Missing required fields for chunk export" });
+      const session = await getOwnedSession(
+        sessionId,
+        await youtubeService.getAccountId(req.token)
+      );
+
+      // Validate data type
+      const plan = session.dataTypes[dataType];
+      if (!plan) {
+        return next(new AppError("INVALID_REQUEST", "Data type is not part of this export"));
       }
 
-      // Validate session exists
-      if (!exportSessions.has(sessionId)) {
-        return res.status(404).json({ error: "Export session not found" });
+      // Validate chunk index
+      if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= plan.totalChunks) {
+        return next(new AppError("INVALID_REQUEST", "Invalid chunk index"));
       }
 
-      const session = exportSessions.get(sessionId);
+      // Check the chunk arrived as it was sent
+      if (!Array.isArray(data) || data.length !== itemCount) {
+        return next(
+          new AppError("INVALID_REQUEST", "Chunk item count does not match its data", {
+            details: { itemCount, received: Array.isArray(data) ? data.length : null },
+          })
+        );
+      }
 
-      // Validate chunk index
-      if (chunkIndex < 0 || chunkIndex >= session.totalChunks) {
-        return res.status(400).json({ error: "Invalid chunk index" });
+      if (checksumOf(data) !== checksum) {
+        return next(new AppError("INVALID_REQUEST", "Chunk checksum does not match its data"));
       }
 
-      // Save chunk data to file to reduce memory usage
-      const chunkDir = path.join(config.storage.tempDir, sessionId);
-      const chunkFile = path.join(chunkDir, `chunk_${dataType}_${chunkIndex}.json`);
-      
-      await fs.promises.writeFile(
-        chunkFile,
-        JSON.stringify(data),
-        'utf8'
-      );
+      const key = chunkKey(sessionId, dataType, chunkIndex);
+      let stored = null;
+      try {
+        stored = await readChunk(key);
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          throw error;
+        }
+      }
 
-      // Update session status
-      session.chunkStatus[chunkIndex] = true;
-      session.receivedChunks++;
+      if (stored && stored.checksum !== checksum) {
+        return next(
+          new AppError(
+            "CONFLICT",
+            `Chunk ${chunkIndex} of ${dataType} was already received with different data`
+          )
+        );
+      }
 
-      res.json({ 
-        success: true, 
-        message: `Chunk ${chunkIndex} received`,
-        progress: `${session.receivedChunks}/${session.totalChunks}` 
+      // Save chunk data to storage to reduce memory usage
+      if (!stored) {
+        await storage
+          .getStorage()
+          .put(key, JSON.stringify({ checksum, itemCount, items: data }));
+      }
+
+      res.json({
+        success: true,
+        message: stored
+          ? `Chunk ${chunkIndex} of ${dataType} was already received`
+          : `Chunk ${chunkIndex} of ${dataType} received`,
+        duplicate: !!stored,
       });
     } catch (error) {
-      console.error("Error adding export chunk:", error);
-      res.status(500).json({ error: "Failed to process export chunk" });
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to process export chunk"));
     }
   },
 
   /**
-   * Finalize an export session and generate the CSV
+   * Finalize an export session and generate the export file
    */
-  async finalizeExport(req, res) {
+  async finalizeExport(req, res, next) {
     try {
-      const { sessionId } = req.body;
+      const { sessionId, format = "csv" } = req.body;
 
       if (!sessionId) {
-        return res.status(400).json({ error: "Session ID is required" });
+        return next(new AppError("INVALID_REQUEST", "Session ID is required"));
       }
 
-      // Validate session exists
-      if (!exportSessions.has(sessionId)) {
-        return res.status(404).json({ error: "Export session not found" });
+      if (!exporters.getExporter(format)) {
+        return next(new AppError("INVALID_REQUEST", `Unsupported export format: ${format}`));
       }
 
-      const session = exportSessions.get(sessionId);
+      let columns;
+      try {
+        columns = dataTypes.parseColumns(req.body.columns);
+      } catch (error) {
+        return next(new AppError("INVALID_REQUEST", `Invalid columns: ${error.message}`));
+      }
+
+      const retention = exportRegistry.parseRetention(req.body.retentionHours);
+
+      // The file belongs to the account that started the session
+      const ownerId = await youtubeService.getAccountId(req.token);
+      const session = await getOwnedSession(sessionId, ownerId);
 
       // Check if all chunks are received
-      if (session.receivedChunks < session.totalChunks) {
-        return res.status(400).json({ 
-          error: "Not all chunks received",
-          received: session.receivedChunks,
-          total: session.totalChunks
-        });
+      const chunks = await listChunks(sessionId, session);
+      const missing = missingChunks(chunks);
+
+      if (missing) {
+        return next(
+          new AppError("INVALID_REQUEST", "Not all chunks received", { details: { missing } })
+        );
       }
 
-      // Combine all chunks
-      const chunkDir = path.join(config.storage.tempDir, sessionId);
-      let likedVideos = [];
-      let watchHistory = [];
-
-      // Read all chunk files
-      const files = await fs.promises.readdir(chunkDir);
-      
-      for (const file of files) {
-        const filePath = path.join(chunkDir, file);
-        const content = await fs.promises.readFile(filePath, 'utf8');
-        const data = JSON.parse(content);
-        
-        // Add to appropriate collection based on filename
-        if (file.includes('liked')) {
-          likedVideos = likedVideos.concat(data);
-        } else if (file.includes('watch')) {
-          watchHistory = watchHistory.concat(data);
-        }
+      // Rows are counted while the chunks are checked, so writing the file is the only
+      // other time each chunk is read
+      const stats = {};
+      const measure = (dataType, items) => {
+        stats[dataType] = rowSource.addPage(
+          stats[dataType],
+          filterService.applyFilters(dataType, items, req.filters)
+        );
+      };
+
+      await verifyChunks(chunks, measure);
+
+      if (session.watchHistoryImportId) {
+        measure(
+          "watchHistory",
+          await takeoutService.loadImport(session.watchHistoryImportId, ownerId)
+        );
       }
 
-      // Generate the CSV file
-      const filename = await csvService.generateCsv({
-        likedVideos,
-        watchHistory,
+      // Chunks are read one at a time while the file is written, so only one
+      // chunk is held in memory however large the export is
+      const exportData = {};
+
+      for (const dataType of Object.keys(stats)) {
+        const keys = chunks[dataType] ? chunks[dataType].received : [];
+
+        exportData[dataType] = rowSource.create(async function* () {
+          for (const key of keys) {
+            const chunk = await readChunk(key);
+            if (!chunk) {
+              throw new Error(`Chunk ${key} changed during the export`);
+            }
+            yield filterService.applyFilters(dataType, chunk.items, req.filters);
+          }
+
+          // Append an imported Takeout file to the watch history section
+          if (dataType === "watchHistory" && session.watchHistoryImportId) {
+            const importedHistory = await takeoutService.loadImport(
+              session.watchHistoryImportId,
+              ownerId
+            );
+            yield filterService.applyFilters(dataType, importedHistory, req.filters);
+          }
+        }, stats[dataType]);
+      }
+
+      // Generate the export file
+      const filename = await exporters.generateExport(exportData, format, { columns });
+      await exportRegistry.register({
+        filename,
+        ownerId,
+        format,
+        counts: countRows(exportData),
+        filters: req.filters,
+        retention,
       });
 
-      // Clean up the session and temp files
-      exportSessions.delete(sessionId);
-      
-      // Delete chunk directory with all files asynchronously
-      fs.rm(chunkDir, { recursive: true, force: true }, (err) => {
-        if (err) {
+      // Delete the session with all its chunks asynchronously
+      storage
+        .getStorage()
+        .removeDir(sessionId)
+        .catch((err) => {
           console.error(`Error cleaning up export session chunks: ${err}`);
-        }
-      });
+        });
 
       res.json({ 
         success: true, 
@@ -262,8 +791,59 @@ module.exports = {
         filename
       });
     } catch (error) {
-      console.error("Error finalizing export:", error);
-      res.status(500).json({ error: "Failed to finalize export" });
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to finalize export"));
+    }
+  },
+
+  /**
+   * Get the state of a chunked export session: which chunks are still missing, so
+   * a client can continue after an interruption by sending only those
+   */
+  async getExportStatus(req, res, next) {
+    const { sessionId } = req.params;
+
+    try {
+      const session = await getOwnedSession(
+        sessionId,
+        await youtubeService.getAccountId(req.token)
+      );
+      const chunks = await listChunks(sessionId, session);
+      const status = {};
+
+      Object.keys(chunks).forEach((dataType) => {
+        const { totalChunks, totalItems, received, missing } = chunks[dataType];
+        status[dataType] = {
+          totalChunks,
+          totalItems,
+          receivedChunks: received.length,
+          missingChunks: missing,
+        };
+      });
+
+      res.json({ sessionId, complete: !missingChunks(chunks), dataTypes: status });
+    } catch (error) {
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to get export session"));
+    }
+  },
+
+  /**
+   * Cancel a chunked export session and discard the chunks received so far
+   */
+  async cancelExport(req, res, next) {
+    try {
+      const { sessionId } = req.body;
+
+      if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+        return next(new AppError("INVALID_REQUEST", "Session ID is required"));
+      }
+
+      await getOwnedSession(sessionId, await youtubeService.getAccountId(req.token));
+
+      await storage.getStorage().removeDir(sessionId);
+
+      res.json({ success: true, message: "Export session cancelled" });
+    } catch (error) {
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to cancel export session"));
     }
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,219 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("../services/youtubeService");
+
+const config = require("../config/config");
+const youtubeService = require("../services/youtubeService");
+const dataController = require("./dataController");
+
+// Access tokens of the test accounts, mapped to their channel IDs
+const ACCOUNTS = { "owner-token": "UCowner", "other-token": "UCother" };
+
+/**
+ * Call a controller handler the way Express would
+ * @param {Function} handler - Controller method
+ * @param {Object} [request] - { body, params, token }
+ * @returns {Promise<Object>} { body } of the response, or { error } passed to next
+ */
+const call = (handler, { body = {}, params = {}, token = "owner-token" } = {}) =>
+  new Promise((resolve) => {
+    const res = { json: (payload) => resolve({ body: payload }) };
+    handler.call(dataController, { body, params, token }, res, (error) =>
+      resolve({ error })
+    );
+  });
+
+const checksumOf = (items) =>
+  crypto.createHash("sha256").update(JSON.stringify(items)).digest("hex");
+
+/**
+ * Items of a chunk of liked videos
+ * @param {number} chunkIndex - Chunk number
+ * @param {number} [size=2] - Items per chunk
+ * @returns {Array} Items with IDs numbered across chunks
+ */
+const videosOf = (chunkIndex, size = 2) =>
+  Array.from({ length: size }, (_, i) => ({
+    id: `v${chunkIndex * size + i}`,
+    title: `Video ${chunkIndex * size + i}`,
+  }));
+
+/**
+ * Send a chunk with its item count and checksum
+ * @param {string} sessionId - Export session
+ * @param {number} chunkIndex - Chunk number
+ * @param {Array} data - Chunk items
+ * @param {Object} [overrides] - Fields to send instead of the computed ones
+ * @returns {Promise<Object>} Result of call
+ */
+const sendChunk = (sessionId, chunkIndex, data, overrides = {}) =>
+  call(dataController.addExportChunk, {
+    body: {
+      sessionId,
+      dataType: "likedVideos",
+      chunkIndex,
+      itemCount: data.length,
+      checksum: checksumOf(data),
+      data,
+      ...overrides,
+    },
+  });
+
+/**
+ * Start an export session of liked videos
+ * @param {string} sessionId - Export session
+ * @param {number} totalChunks - Number of chunks
+ * @returns {Promise<Object>} Result of call
+ */
+const initSession = (sessionId, totalChunks) =>
+  call(dataController.initExport, {
+    body: {
+      sessionId,
+      dataTypes: { likedVideos: { totalChunks, totalItems: totalChunks * 2 } },
+    },
+  });
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "chunk-test-"));
+  config.storage.tempDir = path.join(dir, "temp");
+  config.storage.dataDir = path.join(dir, "data");
+
+  youtubeService.getAccountId.mockImplementation(async (token) => ACCOUNTS[token]);
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("chunked exports", () => {
+  it("assembles chunks sent out of order in chunk order", async () => {
+    await initSession("ordered", 3);
+
+    for (const chunkIndex of [2, 0, 1]) {
+      const { body } = await sendChunk("ordered", chunkIndex, videosOf(chunkIndex));
+      expect(body.duplicate).toBe(false);
+    }
+
+    const { body } = await call(dataController.finalizeExport, {
+      body: { sessionId: "ordered", format: "json" },
+    });
+    const file = path.join(config.storage.tempDir, body.filename);
+    const { likedVideos } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+    expect(likedVideos.map(({ id }) => id)).toEqual(["v0", "v1", "v2", "v3", "v4", "v5"]);
+  });
+
+  it("treats a chunk sent again with the same data as a duplicate", async () => {
+    await initSession("repeat", 1);
+
+    await sendChunk("repeat", 0, videosOf(0));
+    const { body } = await sendChunk("repeat", 0, videosOf(0));
+
+    expect(body.duplicate).toBe(true);
+  });
+
+  it("rejects a chunk sent again with different data", async () => {
+    await initSession("conflict", 1);
+    await sendChunk("conflict", 0, videosOf(0));
+
+    const { error } = await sendChunk("conflict", 0, videosOf(1));
+
+    expect(error.code).toBe("CONFLICT");
+  });
+
+  it("rejects chunks whose checksum or item count doesn't match their data", async () => {
+    await initSession("damaged", 1);
+
+    const badChecksum = await sendChunk("damaged", 0, videosOf(0), {
+      checksum: checksumOf(videosOf(1)),
+    });
+    const badCount = await sendChunk("damaged", 0, videosOf(0), { itemCount: 3 });
+
+    expect(badChecksum.error.code).toBe("INVALID_REQUEST");
+    expect(badCount.error.code).toBe("INVALID_REQUEST");
+  });
+
+  it("rejects chunks outside the plan", async () => {
+    await initSession("plan", 1);
+
+    const { error } = await sendChunk("plan", 1, videosOf(1));
+
+    expect(error.code).toBe("INVALID_REQUEST");
+  });
+
+  it("reports missing chunks instead of finalizing", async () => {
+    await initSession("missing", 3);
+    await sendChunk("missing", 1, videosOf(1));
+
+    const status = await call(dataController.getExportStatus, {
+      params: { sessionId: "missing" },
+    });
+    const finalized = await call(dataController.finalizeExport, {
+      body: { sessionId: "missing" },
+    });
+
+    expect(status.body.dataTypes.likedVideos.missingChunks).toEqual([0, 2]);
+    expect(finalized.error.code).toBe("INVALID_REQUEST");
+    expect(finalized.error.details.missing).toEqual({ likedVideos: [0, 2] });
+  });
+
+  it("refuses to finalize when a stored chunk was damaged", async () => {
+    await initSession("stored", 1);
+    await sendChunk("stored", 0, videosOf(0));
+
+    const chunkFile = path.join(config.storage.tempDir, "stored", "chunk_likedVideos_0.json");
+    fs.writeFileSync(
+      chunkFile,
+      fs.readFileSync(chunkFile, "utf8").replace("Video 0", "Video X")
+    );
+
+    const damaged = await call(dataController.finalizeExport, {
+      body: { sessionId: "stored" },
+    });
+
+    expect(damaged.error.code).toBe("INVALID_REQUEST");
+    expect(damaged.error.details.missing).toEqual({ likedVideos: [0] });
+
+    // The damaged chunk was discarded, so it can be sent again
+    expect((await sendChunk("stored", 0, videosOf(0))).body.duplicate).toBe(false);
+    const { body } = await call(dataController.finalizeExport, {
+      body: { sessionId: "stored" },
+    });
+    expect(body.filename).toBeDefined();
+  });
+
+  it("refuses to finalize when the items don't add up to the planned total", async () => {
+    await initSession("short", 1);
+    await sendChunk("short", 0, videosOf(0, 1));
+
+    const { error } = await call(dataController.finalizeExport, {
+      body: { sessionId: "short" },
+    });
+
+    expect(error.code).toBe("INVALID_REQUEST");
+    expect(error.details).toMatchObject({ received: 1, expected: 2 });
+  });
+
+  it("keeps sessions to the account that started them", async () => {
+    await initSession("mine", 1);
+
+    const { error } = await call(dataController.addExportChunk, {
+      token: "other-token",
+      body: {
+        sessionId: "mine",
+        dataType: "likedVideos",
+        chunkIndex: 0,
+        itemCount: 2,
+        checksum: checksumOf(videosOf(0)),
+        data: videosOf(0),
+      },
+    });
+
+    expect(error.code).toBe("FORBIDDEN");
+  });
+});
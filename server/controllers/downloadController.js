@@ -0,0 +1,47 @@
+/**
+ * Download Controller
+ * Serves export files to the account that created them
+ */
+const { pipeline } = require("stream/promises");
+const youtubeService = require("../services/youtubeService");
+const downloadService = require("../services/downloadService");
+const { AppError } = require("../utils/errors");
+
+module.exports = {
+  /**
+   * Create a signed, expiring link to one of the signed-in account's exports
+   */
+  async createLink(req, res, next) {
+    try {
+      const accountId = await youtubeService.getAccountId(req.token);
+
+      res.json(await downloadService.createLink(req.params.filename, accountId));
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to create download link"));
+    }
+  },
+
+  /**
+   * Download an export file, with a signed link (?token=) or as the signed-in account
+   * The file is streamed from storage as it is read.
+   */
+  async downloadFile(req, res, next) {
+    try {
+      const { filename } = req.params;
+      const { stream, size, contentType } = req.query.token
+        ? await downloadService.verifyLink(filename, req.query.token)
+        : await downloadService.open(filename, await youtubeService.getAccountId(req.token));
+
+      res.attachment(filename);
+      res.set({ "Content-Type": contentType, "Content-Length": size });
+      await pipeline(stream, res).catch((error) => {
+        // The client hung up; there is no one left to tell
+        if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+          throw error;
+        }
+      });
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to download export"));
+    }
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Export History Controller
+ */
+const youtubeService = require("../services/youtubeService");
+const exportRegistry = require("../services/exportRegistry");
+const { AppError } = require("../utils/errors");
+
+/**
+ * Public view of an export record
+ * @param {Object} record - Export record
+ * @returns {Object} Record fields for the client, with whether the file can be downloaded
+ */
+const serializeExport = (record) => ({
+  filename: record.filename,
+  format: record.format,
+  dataTypes: record.dataTypes,
+  counts: record.counts,
+  filters: record.filters,
+  size: record.size,
+  available: exportRegistry.isAvailable(record),
+  createdAt: new Date(record.createdAt).toISOString(),
+  expiresAt: new Date(record.expiresAt).toISOString(),
+});
+
+module.exports = {
+  /**
+   * List the signed-in account's past exports, newest first
+   */
+  async listExports(req, res, next) {
+    try {
+      const accountId = await youtubeService.getAccountId(req.token);
+      const records = await exportRegistry.list(accountId);
+
+      res.json({ exports: records.map(serializeExport) });
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to list exports"));
+    }
+  },
+
+  /**
+   * Delete one of the signed-in account's exports, file and history entry
+   */
+  async deleteExport(req, res, next) {
+    try {
+      const accountId = await youtubeService.getAccountId(req.token);
+      const record = await exportRegistry.getOwned(req.params.filename, accountId);
+
+      await exportRegistry.remove(record.filename);
+
+      res.status(204).end();
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to delete export"));
+    }
+  },
+};
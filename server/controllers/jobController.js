@@ -0,0 +1,264 @@
+/**
+ * Export Job Controller
+ */
+const jobService = require("../services/jobService");
+const authService = require("../services/authService");
+const youtubeService = require("../services/youtubeService");
+const quotaService = require("../services/quotaService");
+const exporters = require("../services/exporters");
+const exportRegistry = require("../services/exportRegistry");
+const dataTypes = require("../services/dataTypes");
+const { AppError } = require("../utils/errors");
+
+const DATA_OPTIONS = ["likedVideos", "watchHistory", "subscriptions", "playlists"];
+const HEARTBEAT_INTERVAL = 15 * 1000;
+
+/**
+ * Public view of a job (never exposes credentials)
+ * @param {Object} job - The job
+ * @returns {Object} Job fields safe to send to the client
+ */
+const serializeJob = (job) => ({
+  id: job.id,
+  state: job.state,
+  resumable: jobService.isResumable(job),
+  accounts: job.accounts,
+  progress: job.progress,
+  warnings: job.warnings,
+  result: job.result,
+  error: job.error,
+  errorCode: job.errorCode,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+});
+
+/**
+ * Read which data an export request asks for
+ * @param {Object} body - Request body
+ * @returns {Object} { maxResults, likedVideos, watchHistory, subscriptions, playlists, watchHistoryImportId }
+ */
+const readDataOptions = (body) => {
+  const options = { maxResults: parseInt(body.maxResults, 10) || 50 };
+  DATA_OPTIONS.forEach((option) => {
+    options[option] = body[option] === true;
+  });
+
+  if (options.watchHistory && body.watchHistoryImportId) {
+    options.watchHistoryImportId = body.watchHistoryImportId;
+  }
+
+  return options;
+};
+
+/**
+ * Access tokens of every account an export covers
+ * The signed-in account comes first, followed by body.accountTokens.
+ * @param {Object} req - Express request object (authenticated)
+ * @returns {Promise<string[]>} Access tokens
+ * @throws {AppError} TOKEN_EXPIRED when a token of an added account is invalid
+ */
+const getAccessTokens = async (req) => {
+  const extraTokens = Array.isArray(req.body.accountTokens) ? req.body.accountTokens : [];
+  const accessTokens = [...new Set([req.token, ...extraTokens])];
+
+  for (const token of accessTokens.slice(1)) {
+    if (typeof token !== "string" || !(await authService.verifyToken(token))) {
+      throw new AppError("TOKEN_EXPIRED", "Invalid or expired token for an added account");
+    }
+  }
+
+  return accessTokens;
+};
+
+module.exports = {
+  /**
+   * Start a server-side export job
+   */
+  async createJob(req, res, next) {
+    try {
+      const format = req.body.format || "csv";
+
+      if (!exporters.getExporter(format)) {
+        throw new AppError("INVALID_REQUEST", `Unsupported export format: ${format}`);
+      }
+
+      let columns;
+      try {
+        columns = dataTypes.parseColumns(req.body.columns);
+      } catch (error) {
+        throw new AppError("INVALID_REQUEST", `Invalid columns: ${error.message}`);
+      }
+
+      const options = { ...readDataOptions(req.body), format, columns };
+
+      if (!DATA_OPTIONS.some((option) => options[option])) {
+        throw new AppError("INVALID_REQUEST", "Select at least one data type to export");
+      }
+
+      // Only liked videos and watch history can be exported incrementally
+      options.onlyNew =
+        req.body.onlyNew === true && (options.likedVideos || options.watchHistory);
+
+      // Fetch everything from YouTube again instead of reusing cached responses
+      options.forceRefresh = req.body.forceRefresh === true;
+
+      // Parsed by helpers.parseFilters
+      options.filters = req.filters;
+
+      options.retention = exportRegistry.parseRetention(req.body.retentionHours);
+
+      const accessTokens = await getAccessTokens(req);
+
+      // A Takeout file holds the history of a single account
+      if (options.watchHistoryImportId && accessTokens.length > 1) {
+        throw new AppError(
+          "INVALID_REQUEST",
+          "A Takeout watch history file can only be exported for one account"
+        );
+      }
+
+      // Refuse exports that could run out of quota halfway
+      const estimate = quotaService.estimateExport(options, accessTokens.length);
+      const usage = await quotaService.getUsage();
+      if (estimate.units > usage.remaining) {
+        throw new AppError(
+          "QUOTA_EXCEEDED",
+          `This export may use up to ${estimate.units} quota units, but only ${usage.remaining} of ${usage.budget} are left today.`,
+          { details: { estimate, usage } }
+        );
+      }
+
+      // Only the account starting the job can follow, cancel or resume it
+      const ownerId = await youtubeService.getAccountId(req.token);
+      const job = jobService.createJob(accessTokens, options, ownerId);
+
+      res.status(202).json(serializeJob(job));
+    } catch (error) {
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to start export job"));
+    }
+  },
+
+  /**
+   * Estimate the quota an export would use, next to today's usage
+   */
+  async estimateJob(req, res, next) {
+    try {
+      const accountCount = Math.max(parseInt(req.body.accountCount, 10) || 1, 1);
+      const estimate = quotaService.estimateExport(readDataOptions(req.body), accountCount);
+
+      res.json({ estimate, usage: await quotaService.getUsage() });
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to estimate export quota"));
+    }
+  },
+
+  /**
+   * Get the state and progress of an export job
+   */
+  async getJob(req, res, next) {
+    try {
+      const job = await jobService.getOwnedJob(
+        req.params.jobId,
+        await youtubeService.getAccountId(req.token)
+      );
+
+      res.json(serializeJob(job));
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to get export job"));
+    }
+  },
+
+  /**
+   * Cancel a running export job
+   */
+  async cancelJob(req, res, next) {
+    try {
+      const owned = await jobService.getOwnedJob(
+        req.params.jobId,
+        await youtubeService.getAccountId(req.token)
+      );
+      const job = await jobService.cancelJob(owned.id);
+
+      if (job.state === "completed") {
+        return next(new AppError("CONFLICT", "Export job has already completed"));
+      }
+
+      res.json(serializeJob(job));
+    } catch (error) {
+      next(AppError.from(error, "INTERNAL_ERROR", "Failed to cancel export job"));
+    }
+  },
+
+  /**
+   * Resume a failed, cancelled, interrupted or paused export job from its last checkpoint
+   */
+  async resumeJob(req, res, next) {
+    try {
+      const existing = await jobService.getOwnedJob(
+        req.params.jobId,
+        await youtubeService.getAccountId(req.token)
+      );
+
+      if (!jobService.isResumable(existing)) {
+        return next(
+          new AppError("CONFLICT", `Export job is ${existing.state} and cannot be resumed`)
+        );
+      }
+
+      const accessTokens = await getAccessTokens(req);
+      const job = await jobService.resumeJob(existing.id, accessTokens);
+
+      res.status(202).json(serializeJob(job));
+    } catch (error) {
+      next(AppError.from(error, "EXPORT_FAILED", "Failed to resume export job"));
+    }
+  },
+
+  /**
+   * Stream job progress as Server-Sent Events until the job finishes
+   */
+  async streamJobEvents(req, res, next) {
+    let job;
+    try {
+      job = await jobService.getOwnedJob(
+        req.params.jobId,
+        await youtubeService.getAccountId(req.token)
+      );
+    } catch (error) {
+      return next(AppError.from(error, "INTERNAL_ERROR", "Failed to get export job"));
+    }
+
+    // no-transform keeps the compression middleware from buffering events
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), HEARTBEAT_INTERVAL);
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    const send = (currentJob) => {
+      res.write(`event: progress\ndata: ${JSON.stringify(serializeJob(currentJob))}\n\n`);
+
+      if (jobService.isFinished(currentJob)) {
+        stop();
+        res.end();
+      }
+    };
+
+    req.on("close", stop);
+
+    // Send the current state right away, then every change
+    send(job);
+    if (!jobService.isFinished(job)) {
+      unsubscribe = jobService.subscribe(job.id, send);
+    }
+  },
+};
@@ -4,6 +4,7 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const helpers = require("../utils/helpers");
 
 // Initialize OAuth login flow
 router.get("/login", authController.initiateOAuth);
@@ -20,4 +21,7 @@ router.post("/revoke", authController.revokeToken);
 // Get current auth status
 router.get("/status", authController.getAuthStatus);
 
+// Token verification cache hit rate (signed-in users only)
+router.get("/metrics", helpers.authenticateToken, authController.getMetrics);
+
 module.exports = router;
@@ -4,18 +4,58 @@
 const express = require("express");
 const router = express.Router();
 const dataController = require("../controllers/dataController");
+const jobController = require("../controllers/jobController");
+const downloadController = require("../controllers/downloadController");
+const exportController = require("../controllers/exportController");
 const helpers = require("../utils/helpers");
 
-// Apply authentication middleware to individual routes
-router.get("/liked", helpers.authenticateToken, dataController.getLikedVideos);
+// Apply authentication middleware to individual routes.
+// Routes with helpers.parseFilters accept the export filters (see filterService).
+router.get(
+  "/liked",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.getLikedVideos
+);
 
 // Get watch history
 router.get(
   "/history",
   helpers.authenticateToken,
+  helpers.parseFilters,
   dataController.getWatchHistory
 );
 
+// Import a Google Takeout watch-history file (sent as the raw request body)
+router.post(
+  "/history/import",
+  helpers.authenticateToken,
+  express.raw({ type: "*/*", limit: "200mb" }),
+  dataController.importWatchHistory
+);
+
+// Get subscriptions
+router.get(
+  "/subscriptions",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.getSubscriptions
+);
+
+// Get playlists and their items
+router.get(
+  "/playlists",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.getPlaylists
+);
+router.get(
+  "/playlists/:playlistId/items",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.getPlaylistItems
+);
+
 // Get channel statistics
 router.get(
   "/statistics",
@@ -23,12 +63,64 @@ router.get(
   dataController.getStatistics
 );
 
-// Export data to CSV (single request method)
-router.post("/export", helpers.authenticateToken, dataController.exportToCsv);
+// Columns available per data type, and the columns each account chose
+router.get("/fields", helpers.authenticateToken, dataController.getFields);
+router.get("/preferences", helpers.authenticateToken, dataController.getPreferences);
+router.put("/preferences", helpers.authenticateToken, dataController.savePreferences);
+
+// YouTube API quota used today
+router.get("/quota", helpers.authenticateToken, dataController.getQuota);
+
+// Export data to CSV, JSON, NDJSON or XLSX (single request method)
+router.post(
+  "/export",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.exportData
+);
 
 // New chunked export routes for handling large datasets
 router.post("/export/init", helpers.authenticateToken, dataController.initExport);
 router.post("/export/chunk", helpers.authenticateToken, dataController.addExportChunk);
-router.post("/export/finalize", helpers.authenticateToken, dataController.finalizeExport);
+router.post(
+  "/export/finalize",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  dataController.finalizeExport
+);
+router.post("/export/cancel", helpers.authenticateToken, dataController.cancelExport);
+router.get("/export/:sessionId", helpers.authenticateToken, dataController.getExportStatus);
+
+// Export history of the account, and deleting past exports
+router.get("/exports", helpers.authenticateToken, exportController.listExports);
+router.delete(
+  "/exports/:filename",
+  helpers.authenticateToken,
+  exportController.deleteExport
+);
+
+// Signed, expiring link to download one of the account's export files
+router.post(
+  "/downloads/:filename/link",
+  helpers.authenticateToken,
+  downloadController.createLink
+);
+
+// Server-side export jobs
+router.post(
+  "/jobs",
+  helpers.authenticateToken,
+  helpers.parseFilters,
+  jobController.createJob
+);
+router.post("/jobs/estimate", helpers.authenticateToken, jobController.estimateJob);
+router.get("/jobs/:jobId", helpers.authenticateToken, jobController.getJob);
+router.post("/jobs/:jobId/cancel", helpers.authenticateToken, jobController.cancelJob);
+router.post("/jobs/:jobId/resume", helpers.authenticateToken, jobController.resumeJob);
+router.get(
+  "/jobs/:jobId/events",
+  helpers.authenticateToken,
+  jobController.streamJobEvents
+);
 
 module.exports = router;
\ No newline at end of file
@@ -14,10 +14,22 @@ const compression = require("compression"); // Add compression middleware
 // Load configuration
 const config = require("./config/config");
 
+// Import services
+const jobService = require("./services/jobService");
+const exportRegistry = require("./services/exportRegistry");
+const exporters = require("./services/exporters");
+const responseCache = require("./services/responseCache");
+const storage = require("./services/storage");
+const { AppError } = require("./utils/errors");
+const helpers = require("./utils/helpers");
+
 // Import routes
 const authRoutes = require("./routes/authRoutes");
 const dataRoutes = require("./routes/dataRoutes");
 
+// Import controllers
+const downloadController = require("./controllers/downloadController");
+
 // Create Express app
 const app = express();
 
@@ -70,18 +82,14 @@ if (config.server.nodeEnv === "development") {
   });
 }
 
-// Download route for CSV files
-app.get("/download/:filename", (req, res) => {
-  const { filename } = req.params;
-  const filePath = path.join(config.storage.tempDir, filename);
-
-  // Check if file exists
-  if (fs.existsSync(filePath)) {
-    return res.download(filePath);
-  }
-
-  res.status(404).send("File not found");
-});
+// Download route for export files, with a signed link (?token=) or an
+// authenticated request; either way only the account that created the export gets it
+app.get(
+  "/download/:filename",
+  (req, res, next) =>
+    req.query.token ? next() : helpers.authenticateToken(req, res, next),
+  downloadController.downloadFile
+);
 
 // Fallback route - serve index.html for any unmatched routes
 app.get("*", (req, res) => {
@@ -89,19 +97,34 @@ app.get("*", (req, res) => {
 });
 
 // Error handling middleware
+// Every API error is sent as { error, code, message, details }
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  const error = AppError.from(err);
 
-  res.status(err.status || 500).json({
-    error: true,
-    message: err.message || "An unexpected error occurred",
-  });
+  if (error.status >= 500) {
+    console.error(`${req.method} ${req.path} failed:`, err);
+  } else {
+    console.warn(`${req.method} ${req.path}: ${error.code} ${error.message}`);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(error.status).json(error);
 });
 
-// Create temp directory if it doesn't exist
-if (!fs.existsSync(config.storage.tempDir)) {
-  fs.mkdirSync(config.storage.tempDir, { recursive: true });
-}
+// Create temp and data directories if they don't exist
+[config.storage.tempDir, config.storage.dataDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
+// Pick up export jobs left by a previous run so they can be resumed
+jobService.restoreJobs().catch((error) => {
+  console.error("Error restoring export jobs:", error);
+});
 
 // Start server
 const PORT = config.server.port;
@@ -111,47 +134,44 @@ app.listen(PORT, () => {
   console.log(`Auth endpoint: ${config.google.redirectUri}`);
 });
 
-// Cleanup function for temporary files
-const cleanupTempFiles = () => {
-  const tempDir = config.storage.tempDir;
-  const maxAge = config.storage.maxFileAge;
-
-  if (fs.existsSync(tempDir)) {
-    fs.readdir(tempDir, (err, files) => {
-      if (err) {
-        console.error("Error reading temp directory:", err);
-        return;
+// Cleanup function for temporary files (chunked export sessions and Takeout imports)
+const cleanupTempFiles = async () => {
+  const now = Date.now();
+  const store = storage.getStorage();
+
+  try {
+    // A chunked export session is removed as a whole once its newest file is too old
+    const entries = new Map();
+    for (const { key, modifiedAt } of await store.list()) {
+      // Export files are kept as long as their retention (see exportRegistry.cleanup)
+      if (exporters.isExportFilename(key)) {
+        continue;
       }
 
-      const now = Date.now();
-
-      files.forEach((file) => {
-        const filePath = path.join(tempDir, file);
-
-        fs.stat(filePath, (statErr, stats) => {
-          if (statErr) {
-            console.error(`Error getting stats for file ${file}:`, statErr);
-            return;
-          }
-
-          // Check if file is older than max age
-          if (now - stats.mtime.getTime() > maxAge) {
-            fs.unlink(filePath, (unlinkErr) => {
-              if (unlinkErr) {
-                console.error(`Error deleting file ${file}:`, unlinkErr);
-              } else {
-                console.log(`Deleted old temp file: ${file}`);
-              }
-            });
-          }
-        });
-      });
-    });
+      const [name] = key.split("/");
+      const entry = entries.get(name) || { isDir: name !== key, modifiedAt: 0 };
+      entry.modifiedAt = Math.max(entry.modifiedAt, modifiedAt);
+      entries.set(name, entry);
+    }
+
+    for (const [name, { isDir, modifiedAt }] of entries) {
+      if (now - modifiedAt > config.storage.maxFileAge) {
+        await (isDir ? store.removeDir(name) : store.remove(name));
+        console.log(`Deleted old temp file: ${name}`);
+      }
+    }
+  } catch (error) {
+    console.error("Error cleaning up temp files:", error);
   }
 };
 
 // Run cleanup every hour
-setInterval(cleanupTempFiles, 60 * 60 * 1000);
+setInterval(() => {
+  cleanupTempFiles();
+  jobService.cleanupJobs();
+  responseCache.cleanup();
+  exportRegistry.cleanup();
+}, 60 * 60 * 1000);
 
 // Cleanup on exit
 process.on("SIGINT", () => {
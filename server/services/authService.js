@@ -1,8 +1,12 @@
 /**
  * Authentication Service
  */
+const crypto = require("crypto");
 const { google } = require("googleapis");
 const config = require("../config/config");
+const tokenStore = require("./tokenStore");
+const fixtureService = require("./fixtureService");
+const { AppError } = require("../utils/errors");
 
 // Create OAuth2 client
 const oauth2Client = new google.auth.OAuth2(
@@ -11,56 +15,297 @@ const oauth2Client = new google.auth.OAuth2(
   config.google.redirectUri
 );
 
+// Access tokens issued before a refresh stay usable for lookups until they
+// expire, e.g. by a job started with the previous token
+const MAX_TOKEN_HASHES = 5;
+
+// Verified access tokens by hash: { expiresAt, userId }
+const verificationCache = new Map();
+const verificationStats = { hits: 0, misses: 0 };
+
+/**
+ * Hash an access token so it can be looked up without being stored
+ * @param {string} token - The access token
+ * @returns {string} SHA-256 hash (hex)
+ */
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Drop cached verifications that have expired
+ * @param {number} now - Current time in milliseconds
+ */
+const pruneVerificationCache = (now) => {
+  verificationCache.forEach((entry, tokenHash) => {
+    if (entry.expiresAt <= now) {
+      verificationCache.delete(tokenHash);
+    }
+  });
+};
+
+/**
+ * Create an OAuth2 client for the app
+ * @returns {OAuth2Client} OAuth2 client without credentials
+ */
+const createClient = () =>
+  new google.auth.OAuth2(
+    config.google.clientId,
+    config.google.clientSecret,
+    config.google.redirectUri
+  );
+
 module.exports = {
   /**
    * Revoke an OAuth token
+   * Revokes the stored refresh token when there is one, which ends the whole grant
    * @param {string} token - The token to revoke
    * @returns {Promise<void>}
    */
   async revokeToken(token) {
     try {
-      await oauth2Client.revokeToken(token);
+      // Stop trusting the token right away, even if revoking fails below
+      this.invalidateVerification(token);
+
+      const record = await this.findTokens(token);
+      if (!fixtureService.isReplaying()) {
+        await oauth2Client.revokeToken(record?.tokens.refresh_token || token);
+      }
+
+      if (record) {
+        // Revoking the grant ends every access token of the account
+        record.accessTokenHashes.forEach((tokenHash) => verificationCache.delete(tokenHash));
+        await tokenStore.getTokenStore().remove(record.accountId);
+      }
     } catch (error) {
       console.error("Error revoking token:", error);
-      throw new Error("Failed to revoke token");
+      throw new AppError("INTERNAL_ERROR", "Failed to revoke token", { cause: error });
     }
   },
 
   /**
    * Verify an access token
+   * Valid tokens are remembered until the cache TTL or the token's expiry,
+   * whichever comes first, so most requests don't need a call to Google.
    * @param {string} token - The token to verify
    * @returns {Promise<boolean>} Whether the token is valid
+   * @throws {AppError} SCOPE_MISSING when the token lacks a required scope
    */
   async verifyToken(token) {
-    try {
-      oauth2Client.setCredentials({ access_token: token });
-      const tokenInfo = await oauth2Client.getTokenInfo(token);
+    const tokenHash = hashToken(token);
+    const now = Date.now();
+    const cached = verificationCache.get(tokenHash);
 
-      // Check if token has required scopes
-      const hasRequiredScopes = config.google.scopes.every((scope) =>
-        tokenInfo.scopes.includes(scope)
-      );
+    if (cached && cached.expiresAt > now) {
+      verificationStats.hits++;
+      return true;
+    }
+
+    verificationStats.misses++;
+    pruneVerificationCache(now);
 
-      return hasRequiredScopes;
+    let tokenInfo;
+    try {
+      if (fixtureService.isReplaying()) {
+        tokenInfo = fixtureService.getTokenInfo(token);
+      } else {
+        oauth2Client.setCredentials({ access_token: token });
+        tokenInfo = await oauth2Client.getTokenInfo(token);
+      }
     } catch (error) {
       console.error("Token verification error:", error);
       return false;
     }
+
+    // Check if token has required scopes
+    const missingScopes = config.google.scopes.filter(
+      (scope) => !tokenInfo.scopes.includes(scope)
+    );
+
+    if (missingScopes.length > 0) {
+      throw new AppError(
+        "SCOPE_MISSING",
+        "The sign-in does not allow reading your YouTube data",
+        { details: { missingScopes } }
+      );
+    }
+
+    verificationCache.set(tokenHash, {
+      expiresAt: Math.min(
+        now + config.security.tokenVerifyCacheTtl,
+        tokenInfo.expiry_date || Infinity
+      ),
+      userId: tokenInfo.sub || tokenInfo.user_id || null,
+    });
+
+    return true;
+  },
+
+  /**
+   * Get the Google user ID an access token was issued for
+   * @param {string} token - The access token
+   * @returns {Promise<string|null>} The user ID, or null if the token is invalid or
+   *   Google didn't say
+   */
+  async getUserId(token) {
+    const cached = verificationCache.get(hashToken(token));
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.userId;
+    }
+
+    if (!(await this.verifyToken(token))) {
+      return null;
+    }
+
+    return verificationCache.get(hashToken(token))?.userId || null;
+  },
+
+  /**
+   * Forget that an access token was verified
+   * @param {string} token - The access token
+   */
+  invalidateVerification(token) {
+    verificationCache.delete(hashToken(token));
+  },
+
+  /**
+   * Get token verification cache metrics
+   * @returns {Object} { hits, misses, hitRate, cachedTokens }
+   */
+  getVerificationStats() {
+    const lookups = verificationStats.hits + verificationStats.misses;
+
+    return {
+      ...verificationStats,
+      hitRate: lookups > 0 ? verificationStats.hits / lookups : 0,
+      cachedTokens: verificationCache.size,
+    };
+  },
+
+  /**
+   * Persist an account's tokens
+   * Fields missing from `tokens` (a refresh response has no refresh_token) are kept.
+   * @param {string} accountId - The account's YouTube channel ID
+   * @param {Object} tokens - Tokens from Google ({ access_token, refresh_token, expiry_date, ... })
+   * @returns {Promise<Object>} The stored record
+   */
+  async storeTokens(accountId, tokens) {
+    const store = tokenStore.getTokenStore();
+    const existing = await store.get(accountId);
+
+    const merged = { ...existing?.tokens };
+    Object.entries(tokens).forEach(([name, value]) => {
+      if (value !== undefined && value !== null) {
+        merged[name] = value;
+      }
+    });
+
+    const hashes = [hashToken(merged.access_token), ...(existing?.accessTokenHashes || [])];
+    const record = {
+      accountId,
+      tokens: merged,
+      accessTokenHashes: [...new Set(hashes)].slice(0, MAX_TOKEN_HASHES),
+      updatedAt: Date.now(),
+    };
+
+    await store.put(record);
+    return record;
+  },
+
+  /**
+   * Get the stored tokens of an account
+   * @param {string} accountId - The account's YouTube channel ID
+   * @returns {Promise<Object|null>} The stored record
+   */
+  async getTokens(accountId) {
+    return tokenStore.getTokenStore().get(accountId);
+  },
+
+  /**
+   * Find the stored tokens an access token belongs to
+   * @param {string} accessToken - A current or recently replaced access token
+   * @returns {Promise<Object|null>} The stored record
+   */
+  async findTokens(accessToken) {
+    return tokenStore.getTokenStore().findByAccessTokenHash(hashToken(accessToken));
+  },
+
+  /**
+   * Get a new access token using the stored refresh token
+   * Only the account's current access token, expired or not, and replaced ones
+   * that are still valid can be renewed.
+   * @param {string} accessToken - The access token to replace
+   * @param {string[]} accountIds - Accounts signed in from the requesting session
+   * @returns {Promise<Object|null>} New credentials, or null if no refresh token is stored
+   * @throws {AppError} FORBIDDEN for an account not signed in from the session,
+   *   TOKEN_EXPIRED for an expired replaced token or when Google refuses to renew
+   */
+  async refreshAccessToken(accessToken, accountIds) {
+    const record = await this.findTokens(accessToken);
+
+    if (!record || !record.tokens.refresh_token) {
+      return null;
+    }
+
+    if (!accountIds.includes(record.accountId)) {
+      throw new AppError("FORBIDDEN", "This account was not signed in from this session");
+    }
+
+    if (
+      hashToken(accessToken) !== hashToken(record.tokens.access_token) &&
+      !(await this.verifyToken(accessToken))
+    ) {
+      throw new AppError("TOKEN_EXPIRED", "This access token was replaced and has expired");
+    }
+
+    try {
+      const client = createClient();
+      client.setCredentials({ refresh_token: record.tokens.refresh_token });
+
+      const { credentials } = fixtureService.isReplaying()
+        ? { credentials: fixtureService.createTokens() }
+        : await client.refreshAccessToken();
+      await this.storeTokens(record.accountId, credentials);
+
+      return credentials;
+    } catch (error) {
+      // Usually a revoked grant, which only signing in again fixes
+      console.error("Error refreshing access token:", error);
+      throw new AppError("TOKEN_EXPIRED", "Failed to refresh access token", { cause: error });
+    }
   },
 
   /**
    * Get OAuth client with token set
+   * When the token's refresh token is stored, the client renews expired access
+   * tokens by itself and the renewed tokens are persisted.
    * @param {string} accessToken - The access token
-   * @returns {OAuth2Client} Configured OAuth2 client
+   * @returns {Promise<OAuth2Client>} Configured OAuth2 client
    */
-  getAuthenticatedClient(accessToken) {
-    const client = new google.auth.OAuth2(
-      config.google.clientId,
-      config.google.clientSecret,
-      config.google.redirectUri
-    );
+  async getAuthenticatedClient(accessToken) {
+    const client = createClient();
     console.log("config.google.clientId:" + config.google.clientId);
-    client.setCredentials({ access_token: accessToken });
+
+    let record = null;
+    try {
+      record = await this.findTokens(accessToken);
+    } catch (error) {
+      // Still usable without renewal while the access token is valid
+      console.error("Error reading stored tokens:", error);
+    }
+
+    if (!record || !record.tokens.refresh_token) {
+      client.setCredentials({ access_token: accessToken });
+      return client;
+    }
+
+    // The stored tokens may already have been renewed since accessToken was issued
+    client.setCredentials({ ...record.tokens });
+    client.on("tokens", (tokens) => {
+      this.storeTokens(record.accountId, tokens).catch((error) => {
+        console.error("Error storing renewed tokens:", error);
+      });
+    });
+
     return client;
   },
 };
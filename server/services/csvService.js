@@ -1,91 +1,85 @@
 /**
  * CSV Generation Service
  */
-const fs = require("fs");
-const path = require("path");
-const { Parser } = require("json2csv");
-const config = require("../config/config");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("json2csv");
+const dataTypes = require("./dataTypes");
+
+// Header of the column saying which data type a row belongs to
+const DATA_TYPE_LABEL = "Data Type";
 
 module.exports = {
   /**
-   * Generate CSV files from YouTube data
-   * @param {Object} data - Data to convert to CSV
-   * @param {Array} [data.likedVideos] - Array of liked videos
-   * @param {Array} [data.watchHistory] - Array of watch history items
-   * @returns {Promise<string>} Filename of the generated CSV
+   * Convert items to plain CSV with a single header row, one row at a time
+   * @param {Array|Object} items - Items, or a row source (see rowSource)
+   * @param {Array} fields - json2csv field definitions ({ label, value })
+   * @returns {stream.Readable} The CSV text
    */
-  async generateCsv(data) {
-    try {
-      // Define fields for each data type
-      const fields = {
-        likedVideos: [
-          { label: "Video ID", value: "id" },
-          { label: "Title", value: "title" },
-          { label: "Channel", value: "channelTitle" },
-          { label: "Channel ID", value: "channelId" },
-          { label: "Published Date", value: "publishedAt" },
-          { label: "Duration", value: "duration" },
-          { label: "View Count", value: "viewCount" },
-          { label: "Like Count", value: "likeCount" },
-          { label: "Comment Count", value: "commentCount" },
-          { label: "Thumbnail URL", value: "thumbnailUrl" },
-          { label: "Description", value: "description" },
-        ],
-        watchHistory: [
-          { label: "Item ID", value: "id" },
-          { label: "Video ID", value: "videoId" },
-          { label: "Title", value: "title" },
-          { label: "Channel", value: "channelTitle" },
-          { label: "Channel ID", value: "channelId" },
-          { label: "Watched Date", value: "watchedAt" },
-          { label: "Thumbnail URL", value: "thumbnailUrl" },
-        ],
-      };
-
-      // Generate a unique filename
-      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-      const filename = `youtube_data_${timestamp}.csv`;
-      const filePath = path.join(config.storage.tempDir, filename);
-
-      // Create the CSV content
-      let csvContent = "";
-
-      // Add header section
-      csvContent += "YouTube Data Export\r\n";
-      csvContent += `Generated: ${new Date().toISOString()}\r\n\r\n`;
+  createCsvStream(items, fields) {
+    const rows = Readable.from(items);
+    const csv = new Transform({ fields, header: true }, { objectMode: true });
 
-      // Add liked videos if present
-      if (data.likedVideos && data.likedVideos.length > 0) {
-        csvContent += "=== LIKED VIDEOS ===\r\n";
+    // The CSV stream fails when the rows can't be read
+    rows.on("error", (error) => csv.destroy(error));
 
-        const parser = new Parser({
-          fields: fields.likedVideos,
-          header: true,
-        });
+    return rows.pipe(csv);
+  },
 
-        csvContent += parser.parse(data.likedVideos);
-        csvContent += "\r\n\r\n";
-      }
+  /**
+   * Stream items to plain CSV with a single header row, one row at a time
+   * @param {Array|Object} items - Items, or a row source (see rowSource)
+   * @param {Array} fields - json2csv field definitions ({ label, value })
+   * @param {stream.Writable} output - Destination, left open for what follows
+   * @returns {Promise<void>} Resolves once every row is written
+   */
+  async streamCsv(items, fields, output) {
+    await pipeline(this.createCsvStream(items, fields), output, { end: false });
+  },
 
-      // Add watch history if present
-      if (data.watchHistory && data.watchHistory.length > 0) {
-        csvContent += "=== WATCH HISTORY ===\r\n";
+  /**
+   * Write YouTube data as a CSV file
+   * All data types share one table: a Data Type column holding the data type key,
+   * then the columns of every data type, matched by their label, so the file is
+   * plain CSV any parser can read. Rows are streamed to the output as they are read,
+   * so the file is never held in memory as a whole.
+   * @param {Object} data - Data to convert to CSV, keyed by data type (arrays or row sources)
+   * @param {stream.Writable} output - Destination, ended once the file is written
+   * @param {Object} [options] - Export options
+   * @param {Object|null} [options.columns] - Columns to export per data type (see dataTypes.parseColumns)
+   * @returns {Promise<void>}
+   */
+  async writeCsv(data, output, options = {}) {
+    const present = dataTypes.getPresentDataTypes(data, options.columns);
 
-        const parser = new Parser({
-          fields: fields.watchHistory,
-          header: true,
-        });
+    // Columns in the order they first appear
+    const labels = [DATA_TYPE_LABEL];
+    present.forEach(({ fields }) => {
+      fields.forEach(({ label }) => {
+        if (!labels.includes(label)) {
+          labels.push(label);
+        }
+      });
+    });
 
-        csvContent += parser.parse(data.watchHistory);
+    async function* rows() {
+      for (const { key, fields } of present) {
+        for await (const item of data[key]) {
+          const row = { [DATA_TYPE_LABEL]: key };
+          fields.forEach(({ label, value }) => {
+            row[label] = item[value];
+          });
+          yield row;
+        }
       }
+    }
 
-      // Write to file
-      await fs.promises.writeFile(filePath, csvContent, "utf8");
+    await this.streamCsv(
+      rows(),
+      labels.map((label) => ({ label, value: (row) => row[label] })),
+      output
+    );
 
-      return filename;
-    } catch (error) {
-      console.error("Error generating CSV:", error);
-      throw new Error("Failed to generate CSV file");
-    }
+    output.end();
   },
 };
@@ -0,0 +1,241 @@
+/**
+ * Exportable Data Types
+ * Shared column definitions used by every export format
+ *
+ * Each data type has a key (as used in request bodies), a display title,
+ * a file name for formats that write one file per data type, and its fields.
+ * Optional fields only become columns when at least one exported item has them.
+ */
+
+const rowSource = require("./rowSource");
+
+// Set on every row of an export covering several accounts
+const accountFields = [
+  { label: "Account ID", value: "accountId", optional: true },
+  { label: "Account", value: "accountTitle", optional: true },
+];
+
+// Data types in the order they appear in an export
+const dataTypes = [
+  {
+    key: "likedVideos",
+    fileName: "liked_videos",
+    title: "Liked Videos",
+    fields: [
+      ...accountFields,
+      { label: "Video ID", value: "id" },
+      { label: "Title", value: "title" },
+      { label: "Channel", value: "channelTitle" },
+      { label: "Channel ID", value: "channelId" },
+      { label: "Published Date", value: "publishedAt" },
+      { label: "Duration", value: "duration" },
+      { label: "View Count", value: "viewCount" },
+      { label: "Like Count", value: "likeCount" },
+      { label: "Comment Count", value: "commentCount" },
+      { label: "Thumbnail URL", value: "thumbnailUrl" },
+      { label: "Description", value: "description" },
+      { label: "New Since Last Export", value: "isNew", optional: true },
+    ],
+  },
+  {
+    key: "watchHistory",
+    fileName: "watch_history",
+    title: "Watch History",
+    fields: [
+      ...accountFields,
+      { label: "Item ID", value: "id" },
+      { label: "Video ID", value: "videoId" },
+      { label: "Title", value: "title" },
+      { label: "Channel", value: "channelTitle" },
+      { label: "Channel ID", value: "channelId" },
+      { label: "Watched Date", value: "watchedAt" },
+      { label: "Thumbnail URL", value: "thumbnailUrl" },
+      { label: "New Since Last Export", value: "isNew", optional: true },
+    ],
+  },
+  {
+    key: "subscriptions",
+    fileName: "subscriptions",
+    title: "Subscriptions",
+    fields: [
+      ...accountFields,
+      { label: "Subscription ID", value: "id" },
+      { label: "Channel ID", value: "channelId" },
+      { label: "Channel", value: "title" },
+      { label: "Subscribed Date", value: "subscribedAt" },
+      { label: "Notification Level", value: "notificationLevel" },
+      { label: "Video Count", value: "totalItemCount" },
+      { label: "Thumbnail URL", value: "thumbnailUrl" },
+      { label: "Description", value: "description" },
+    ],
+  },
+  {
+    key: "playlists",
+    fileName: "playlists",
+    title: "Playlists",
+    fields: [
+      ...accountFields,
+      { label: "Playlist ID", value: "id" },
+      { label: "Title", value: "title" },
+      { label: "Privacy", value: "privacyStatus" },
+      { label: "Item Count", value: "itemCount" },
+      { label: "Created Date", value: "publishedAt" },
+      { label: "Thumbnail URL", value: "thumbnailUrl" },
+      { label: "Description", value: "description" },
+    ],
+  },
+  {
+    key: "playlistItems",
+    fileName: "playlist_items",
+    title: "Playlist Items",
+    fields: [
+      ...accountFields,
+      { label: "Playlist ID", value: "playlistId" },
+      { label: "Playlist", value: "playlistTitle" },
+      { label: "Position", value: "position" },
+      { label: "Item ID", value: "id" },
+      { label: "Video ID", value: "videoId" },
+      { label: "Title", value: "title" },
+      { label: "Channel", value: "channelTitle" },
+      { label: "Channel ID", value: "channelId" },
+      { label: "Added Date", value: "addedAt" },
+      { label: "Video Published Date", value: "videoPublishedAt" },
+      { label: "Thumbnail URL", value: "thumbnailUrl" },
+    ],
+  },
+];
+
+/**
+ * Check whether any exported item has a field
+ * @param {Array|Object} items - Items, or a row source (see rowSource)
+ * @param {string} field - Field name
+ * @returns {boolean} True when at least one item has the field
+ */
+const hasField = (items, field) =>
+  Array.isArray(items)
+    ? items.some((item) => item[field] !== undefined)
+    : items.fields.has(field);
+
+module.exports = {
+  /**
+   * Keys of all exportable data types, in output order
+   * @type {string[]}
+   */
+  DATA_TYPES: dataTypes.map((dataType) => dataType.key),
+
+  /**
+   * Get the definition of a data type
+   * @param {string} key - Data type key, e.g. "likedVideos"
+   * @returns {Object|undefined} The data type with its title and fields
+   */
+  getDataType(key) {
+    return dataTypes.find((dataType) => dataType.key === key);
+  },
+
+  /**
+   * List the fields of every data type, e.g. for a column picker
+   * @returns {Array} [{ key, title, fields: [{ field, label, optional }] }], in output order
+   */
+  listFields() {
+    return dataTypes.map(({ key, title, fields }) => ({
+      key,
+      title,
+      fields: fields.map(({ label, value, optional = false }) => ({
+        field: value,
+        label,
+        optional,
+      })),
+    }));
+  },
+
+  /**
+   * Validate a column selection
+   * @param {Object} [columns] - Field names to export, in order, keyed by data type
+   * @returns {Object|null} The validated selection, or null if none was given
+   * @throws {Error} If a data type or field is unknown, or a data type has no columns
+   */
+  parseColumns(columns) {
+    if (columns === undefined || columns === null) {
+      return null;
+    }
+
+    if (typeof columns !== "object" || Array.isArray(columns)) {
+      throw new Error("Columns must be an object keyed by data type");
+    }
+
+    const selection = {};
+
+    Object.keys(columns).forEach((key) => {
+      const dataType = this.getDataType(key);
+      const fields = columns[key];
+
+      if (!dataType) {
+        throw new Error(`Unknown data type: ${key}`);
+      }
+
+      if (!Array.isArray(fields) || fields.length === 0) {
+        throw new Error(`Select at least one column for ${dataType.title}`);
+      }
+
+      fields.forEach((field) => {
+        if (!dataType.fields.some(({ value }) => value === field)) {
+          throw new Error(`Unknown column for ${dataType.title}: ${field}`);
+        }
+      });
+
+      // Drop duplicates, keeping the first position
+      selection[key] = [...new Set(fields)];
+    });
+
+    return selection;
+  },
+
+  /**
+   * Get the data types that have rows in the given data
+   * @param {Object} data - Export data keyed by data type (arrays or row sources)
+   * @param {Object|null} [columns] - Column selection from parseColumns
+   * @returns {Array} Data type definitions, in output order, with the fields to export.
+   *   `selected` is true when the fields come from the column selection.
+   */
+  getPresentDataTypes(data, columns = null) {
+    return dataTypes
+      .filter(
+        ({ key }) =>
+          (Array.isArray(data[key]) || rowSource.isRowSource(data[key])) &&
+          data[key].length > 0
+      )
+      .map((dataType) => {
+        const selected = !!(columns && columns[dataType.key]);
+        const fields = selected
+          ? columns[dataType.key].map((field) =>
+              dataType.fields.find(({ value }) => value === field)
+            )
+          : dataType.fields;
+
+        return {
+          ...dataType,
+          selected,
+          fields: fields.filter(
+            ({ value, optional }) =>
+              !optional || hasField(data[dataType.key], value)
+          ),
+        };
+      });
+  },
+
+  /**
+   * Copy only the given fields of an item, in field order
+   * @param {Object} item - Exported item
+   * @param {Array} fields - Field definitions ({ label, value })
+   * @returns {Object} Item with just those fields
+   */
+  pickFields(item, fields) {
+    const picked = {};
+
+    fields.forEach(({ value }) => {
+      picked[value] = item[value];
+    });
+
+    return picked;
+  },
+};
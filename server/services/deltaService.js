@@ -0,0 +1,180 @@
+/**
+ * Incremental Export Service
+ * Remembers, per YouTube account, how far the last export got so later
+ * exports can fetch or mark only what is new since then
+ *
+ * Checkpoints are stored as accounts/<channelId>.json in the "state" storage area:
+ * { likedVideos: { newestId, exportedAt }, watchHistory: { newestWatchedAt, exportedAt } }
+ */
+const storage = require("./storage");
+
+// Data types that support incremental exports
+const DELTA_TYPES = ["likedVideos", "watchHistory"];
+
+const ACCOUNT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Storage key of the checkpoints of an account
+ * @param {string} accountId - YouTube channel ID
+ * @returns {string} Storage key
+ */
+const checkpointKey = (accountId) => {
+  if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+    throw new Error("Invalid account ID");
+  }
+
+  return `accounts/${accountId}.json`;
+};
+
+module.exports = {
+  DELTA_TYPES,
+
+  /**
+   * Get the checkpoints recorded by an account's last export
+   * @param {string} accountId - YouTube channel ID
+   * @returns {Promise<Object>} Checkpoints keyed by data type (empty if never exported)
+   */
+  async getCheckpoints(accountId) {
+    try {
+      const content = await storage.getStorage("state").get(checkpointKey(accountId));
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      console.error(`Error reading export checkpoints of ${accountId}:`, error);
+      throw new Error("Failed to read export checkpoints");
+    }
+  },
+
+  /**
+   * Find the position of the last exported liked video among the fetched ones
+   * Everything before it is new. Other data types are told apart by date alone.
+   * @param {string} key - Data type key
+   * @param {Object} [checkpoint] - Checkpoint of the data type from the last export
+   * @param {Function} readPages - Returns an async iterable of the fetched pages, newest first
+   * @returns {Promise<number>} Its position, or -1 if it isn't among the fetched items
+   */
+  async findLastExported(key, checkpoint, readPages) {
+    if (key !== "likedVideos" || !checkpoint) {
+      return -1;
+    }
+
+    let position = 0;
+    for await (const page of readPages()) {
+      const index = page.findIndex((video) => video.id === checkpoint.newestId);
+      if (index !== -1) {
+        return position + index;
+      }
+      position += page.length;
+    }
+
+    return -1;
+  },
+
+  /**
+   * Check whether the fetched items go back as far as the last export
+   * If they don't, and the fetch was cut off, some new items were not fetched.
+   * @param {string} key - Data type key
+   * @param {Object} [checkpoint] - Checkpoint of the data type from the last export
+   * @param {Function} readPages - Returns an async iterable of the fetched pages, newest first
+   * @returns {Promise<boolean>} True if an item of the last export was fetched again
+   */
+  async reachesCheckpoint(key, checkpoint, readPages) {
+    if (!checkpoint) {
+      return false;
+    }
+
+    if (key === "likedVideos") {
+      return (await this.findLastExported(key, checkpoint, readPages)) !== -1;
+    }
+
+    const since = new Date(checkpoint.newestWatchedAt);
+    for await (const page of readPages()) {
+      if (page.some((item) => new Date(item.watchedAt) <= since)) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  /**
+   * Create a function that flags the items new since the last export
+   * It is called with the fetched pages in order, newest first, and keeps count of
+   * the items it has seen, so use a new one each time the pages are read.
+   * @param {string} key - Data type key
+   * @param {Object} [checkpoint] - Checkpoint of the data type from the last export
+   * @param {Object} [options]
+   * @param {boolean} [options.onlyNew=false] - Drop items that are not new
+   * @param {number} [options.lastExported=-1] - Result of findLastExported
+   * @returns {Function} Takes a page of items and returns them with an isNew flag
+   */
+  createMarker(key, checkpoint, { onlyNew = false, lastExported = -1 } = {}) {
+    if (!DELTA_TYPES.includes(key)) {
+      return (items) => items;
+    }
+
+    let isNew = () => true;
+
+    if (checkpoint && key === "likedVideos") {
+      // If the last exported video is no longer liked, nothing can be told apart
+      isNew = (item, position) => lastExported === -1 || position < lastExported;
+    } else if (checkpoint) {
+      const since = new Date(checkpoint.newestWatchedAt);
+      isNew = (item) => new Date(item.watchedAt) > since;
+    }
+
+    let seen = 0;
+
+    return (items) => {
+      const marked = items.map((item, index) => ({
+        ...item,
+        isNew: isNew(item, seen + index),
+      }));
+      seen += items.length;
+
+      return onlyNew ? marked.filter((item) => item.isNew) : marked;
+    };
+  },
+
+  /**
+   * Record how far an export got, so the next one can continue from there
+   * Checkpoints only move forward; data types without items keep their old checkpoint.
+   * Leave out data types whose new items were not all fetched (see reachesCheckpoint),
+   * or the next export would skip the ones that were left out.
+   * @param {string} accountId - YouTube channel ID
+   * @param {Object} data - Exported data keyed by data type (arrays or async
+   *   iterables of items, newest first)
+   * @returns {Promise<Object>} The updated checkpoints
+   */
+  async recordExport(accountId, data) {
+    const checkpoints = await this.getCheckpoints(accountId);
+    const exportedAt = new Date().toISOString();
+
+    for await (const video of data.likedVideos || []) {
+      checkpoints.likedVideos = { newestId: video.id, exportedAt };
+      break;
+    }
+
+    let newest = checkpoints.watchHistory?.newestWatchedAt;
+    for await (const { watchedAt } of data.watchHistory || []) {
+      if (
+        watchedAt &&
+        !isNaN(new Date(watchedAt)) &&
+        (!newest || new Date(watchedAt) > new Date(newest))
+      ) {
+        newest = watchedAt;
+      }
+    }
+    if (newest) {
+      checkpoints.watchHistory = { newestWatchedAt: newest, exportedAt };
+    }
+
+    await storage
+      .getStorage("state")
+      .put(checkpointKey(accountId), JSON.stringify(checkpoints, null, 2));
+
+    return checkpoints;
+  },
+};
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config/config");
+const deltaService = require("./deltaService");
+
+const ACCOUNT_ID = "UCtestChannel";
+
+/**
+ * Serve items as fetched pages
+ * @param {...Array} pages - Items of each page
+ * @returns {Function} Returns an async iterable of the pages
+ */
+const pagesOf = (...pages) =>
+  async function* () {
+    yield* pages;
+  };
+
+const liked = (...ids) => ids.map((id) => ({ id }));
+const watched = (...dates) => dates.map((watchedAt, i) => ({ id: `h${i}`, watchedAt }));
+
+let dataDir;
+
+beforeAll(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "delta-test-"));
+  config.storage.dataDir = dataDir;
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("findLastExported", () => {
+  it("finds the last exported liked video across pages", async () => {
+    const position = await deltaService.findLastExported(
+      "likedVideos",
+      { newestId: "c" },
+      pagesOf(liked("a", "b"), liked("c", "d"))
+    );
+
+    expect(position).toBe(2);
+  });
+
+  it("returns -1 when the video is not among the fetched ones", async () => {
+    const position = await deltaService.findLastExported(
+      "likedVideos",
+      { newestId: "z" },
+      pagesOf(liked("a", "b"))
+    );
+
+    expect(position).toBe(-1);
+  });
+
+  it("returns -1 without a checkpoint", async () => {
+    expect(
+      await deltaService.findLastExported("likedVideos", undefined, pagesOf(liked("a")))
+    ).toBe(-1);
+  });
+});
+
+describe("reachesCheckpoint", () => {
+  it("is true when the last exported liked video was fetched again", async () => {
+    expect(
+      await deltaService.reachesCheckpoint(
+        "likedVideos",
+        { newestId: "b" },
+        pagesOf(liked("a"), liked("b"))
+      )
+    ).toBe(true);
+  });
+
+  it("is false when the fetch stopped before the last exported liked video", async () => {
+    expect(
+      await deltaService.reachesCheckpoint(
+        "likedVideos",
+        { newestId: "z" },
+        pagesOf(liked("a", "b"))
+      )
+    ).toBe(false);
+  });
+
+  it("compares watch history by date", async () => {
+    const checkpoint = { newestWatchedAt: "2024-06-01T00:00:00Z" };
+
+    expect(
+      await deltaService.reachesCheckpoint(
+        "watchHistory",
+        checkpoint,
+        pagesOf(watched("2024-06-03T00:00:00Z"), watched("2024-06-01T00:00:00Z"))
+      )
+    ).toBe(true);
+    expect(
+      await deltaService.reachesCheckpoint(
+        "watchHistory",
+        checkpoint,
+        pagesOf(watched("2024-06-03T00:00:00Z", "2024-06-02T00:00:00Z"))
+      )
+    ).toBe(false);
+  });
+
+  it("is false without a checkpoint", async () => {
+    expect(await deltaService.reachesCheckpoint("likedVideos", undefined, pagesOf())).toBe(
+      false
+    );
+  });
+});
+
+describe("createMarker", () => {
+  it("marks liked videos before the last exported one as new, across pages", () => {
+    const mark = deltaService.createMarker("likedVideos", { newestId: "c" }, { lastExported: 2 });
+
+    expect(mark(liked("a", "b")).map(({ isNew }) => isNew)).toEqual([true, true]);
+    expect(mark(liked("c", "d")).map(({ isNew }) => isNew)).toEqual([false, false]);
+  });
+
+  it("drops old items when only new ones are exported", () => {
+    const mark = deltaService.createMarker(
+      "watchHistory",
+      { newestWatchedAt: "2024-06-01T00:00:00Z" },
+      { onlyNew: true }
+    );
+
+    const items = mark(watched("2024-06-02T00:00:00Z", "2024-05-31T00:00:00Z"));
+
+    expect(items).toEqual([{ id: "h0", watchedAt: "2024-06-02T00:00:00Z", isNew: true }]);
+  });
+
+  it("marks everything as new without a checkpoint", () => {
+    const mark = deltaService.createMarker("likedVideos", undefined);
+
+    expect(mark(liked("a")).map(({ isNew }) => isNew)).toEqual([true]);
+  });
+
+  it("leaves other data types alone", () => {
+    const items = [{ id: "s1" }];
+
+    expect(deltaService.createMarker("subscriptions", undefined)(items)).toBe(items);
+  });
+});
+
+describe("recordExport", () => {
+  it("starts without checkpoints", async () => {
+    expect(await deltaService.getCheckpoints("UCnewChannel")).toEqual({});
+  });
+
+  it("records the newest liked video and watch time, and keeps them", async () => {
+    await deltaService.recordExport(ACCOUNT_ID, {
+      likedVideos: liked("a", "b"),
+      watchHistory: watched("2024-06-01T00:00:00Z", "2024-06-03T00:00:00Z"),
+    });
+
+    const checkpoints = await deltaService.getCheckpoints(ACCOUNT_ID);
+    expect(checkpoints.likedVideos.newestId).toBe("a");
+    expect(checkpoints.watchHistory.newestWatchedAt).toBe("2024-06-03T00:00:00Z");
+  });
+
+  it("reads async iterables of items", async () => {
+    await deltaService.recordExport(ACCOUNT_ID, {
+      likedVideos: (async function* () {
+        yield* liked("new", "a");
+      })(),
+    });
+
+    expect((await deltaService.getCheckpoints(ACCOUNT_ID)).likedVideos.newestId).toBe("new");
+  });
+
+  it("never moves the watch history checkpoint back, nor drops missing types", async () => {
+    await deltaService.recordExport(ACCOUNT_ID, {
+      watchHistory: watched("2024-05-01T00:00:00Z"),
+    });
+
+    const checkpoints = await deltaService.getCheckpoints(ACCOUNT_ID);
+    expect(checkpoints.watchHistory.newestWatchedAt).toBe("2024-06-03T00:00:00Z");
+    expect(checkpoints.likedVideos.newestId).toBe("new");
+  });
+});
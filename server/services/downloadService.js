@@ -0,0 +1,119 @@
+/**
+ * Download Service
+ * Signs expiring download links to export files, for the account that owns them
+ *
+ * A link token is base64url({ filename, accountId, expiresAt }) + "." + its
+ * HMAC-SHA256 signature. Owners come from the export registry.
+ */
+const crypto = require("crypto");
+const config = require("../config/config");
+const exporters = require("./exporters");
+const exportRegistry = require("./exportRegistry");
+const storage = require("./storage");
+const { AppError } = require("../utils/errors");
+
+/**
+ * Signature of a link payload
+ * @param {string} payload - base64url-encoded payload
+ * @returns {Buffer} HMAC-SHA256 digest
+ */
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", config.security.downloadSecret)
+    .update(payload)
+    .digest();
+
+module.exports = {
+  /**
+   * Check that an account may download an export file
+   * @param {string} filename - Export filename
+   * @param {string} accountId - YouTube channel ID of the requesting account
+   * @returns {Promise<Object>} The export record
+   * @throws {AppError} The errors of exportRegistry.getOwned, and EXPORT_EXPIRED
+   *   once the file's retention has ended or it was deleted
+   */
+  async authorize(filename, accountId) {
+    const record = await exportRegistry.getOwned(filename, accountId);
+
+    if (!exportRegistry.isAvailable(record)) {
+      throw new AppError("EXPORT_EXPIRED", "This export has expired and was deleted");
+    }
+
+    return record;
+  },
+
+  /**
+   * Open an export file for an account that may download it
+   * @param {string} filename - Export filename
+   * @param {string} accountId - YouTube channel ID of the requesting account
+   * @returns {Promise<Object>} { stream, size, contentType }
+   * @throws {AppError} Like authorize
+   */
+  async open(filename, accountId) {
+    const record = await this.authorize(filename, accountId);
+
+    try {
+      const { size } = await storage.getStorage().stat(filename);
+      const stream = await storage.getStorage().readStream(filename);
+
+      return { stream, size, contentType: exporters.getExporter(record.format).contentType };
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      throw new AppError("EXPORT_EXPIRED", "This export has expired and was deleted");
+    }
+  },
+
+  /**
+   * Create a signed link to download an export file
+   * @param {string} filename - Export filename
+   * @param {string} accountId - YouTube channel ID of the account the link is for
+   * @returns {Promise<Object>} { url, expiresAt }
+   * @throws {AppError} Like authorize
+   */
+  async createLink(filename, accountId) {
+    await this.authorize(filename, accountId);
+
+    const expiresAt = Date.now() + config.storage.downloadLinkTtl;
+    const payload = Buffer.from(
+      JSON.stringify({ filename, accountId, expiresAt })
+    ).toString("base64url");
+    const token = `${payload}.${sign(payload).toString("base64url")}`;
+
+    return {
+      url: `/download/${encodeURIComponent(filename)}?token=${token}`,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  },
+
+  /**
+   * Check a download link and open the file it points to
+   * @param {string} filename - Export filename from the URL
+   * @param {string} token - Link token from the URL
+   * @returns {Promise<Object>} { stream, size, contentType }
+   * @throws {AppError} FORBIDDEN for a forged link or one made for another file,
+   *   LINK_EXPIRED for an expired link, and the errors of authorize
+   */
+  async verifyLink(filename, token) {
+    const [payload, signature] = String(token).split(".");
+    const expected = sign(payload || "");
+    const given = Buffer.from(signature || "", "base64url");
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new AppError("FORBIDDEN", "Invalid download link");
+    }
+
+    const link = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+
+    if (link.filename !== filename) {
+      throw new AppError("FORBIDDEN", "This link is for another file");
+    }
+
+    if (Date.now() > link.expiresAt) {
+      throw new AppError("LINK_EXPIRED", "This download link has expired");
+    }
+
+    return this.open(filename, link.accountId);
+  },
+};
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { text } = require("stream/consumers");
+const config = require("../config/config");
+const exporters = require("./exporters");
+const exportRegistry = require("./exportRegistry");
+const downloadService = require("./downloadService");
+
+const OWNER_ID = "UCowner";
+
+/**
+ * Write and register an export file
+ * @param {string} ownerId - Account the export belongs to
+ * @returns {Promise<string>} Its filename
+ */
+const createExport = async (ownerId) => {
+  const data = { likedVideos: [{ id: "v1", title: "First" }] };
+  const filename = await exporters.generateExport(data, "json");
+
+  await exportRegistry.register({
+    filename,
+    ownerId,
+    format: "json",
+    counts: { likedVideos: 1 },
+  });
+  return filename;
+};
+
+/**
+ * Read the token out of a download link
+ * @param {Object} link - Result of createLink
+ * @returns {string} Link token
+ */
+const tokenOf = (link) => new URL(link.url, "http://localhost").searchParams.get("token");
+
+let dir;
+let filename;
+
+beforeAll(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "download-test-"));
+  config.storage.tempDir = path.join(dir, "temp");
+  config.storage.dataDir = path.join(dir, "data");
+  config.security.downloadSecret = "test-secret";
+  config.storage.downloadLinkTtl = 60 * 1000;
+
+  filename = await createExport(OWNER_ID);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  config.security.downloadSecret = "test-secret";
+  config.storage.downloadLinkTtl = 60 * 1000;
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("createLink", () => {
+  it("links to the file with a token that expires after the link TTL", async () => {
+    const before = Date.now();
+    const link = await downloadService.createLink(filename, OWNER_ID);
+
+    expect(link.url).toMatch(new RegExp(`^/download/${filename}\\?token=`));
+    expect(Date.parse(link.expiresAt)).toBeGreaterThanOrEqual(before + 60 * 1000);
+  });
+
+  it("refuses accounts that don't own the export", async () => {
+    await expect(downloadService.createLink(filename, "UCsomeoneElse")).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+  });
+});
+
+describe("verifyLink", () => {
+  it("opens the file for a valid link", async () => {
+    const token = tokenOf(await downloadService.createLink(filename, OWNER_ID));
+
+    const { stream, size, contentType } = await downloadService.verifyLink(filename, token);
+    const content = await text(stream);
+
+    expect(contentType).toBe("application/json");
+    expect(Buffer.byteLength(content)).toBe(size);
+    expect(JSON.parse(content).likedVideos).toEqual([{ id: "v1", title: "First" }]);
+  });
+
+  it("rejects a link whose payload was changed", async () => {
+    const token = tokenOf(await downloadService.createLink(filename, OWNER_ID));
+    const [payload, signature] = token.split(".");
+    const link = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    const forged = Buffer.from(
+      JSON.stringify({ ...link, expiresAt: link.expiresAt + 60 * 60 * 1000 })
+    ).toString("base64url");
+
+    await expect(
+      downloadService.verifyLink(filename, `${forged}.${signature}`)
+    ).rejects.toMatchObject({ code: "FORBIDDEN" });
+  });
+
+  it("rejects links signed with another secret, and malformed tokens", async () => {
+    config.security.downloadSecret = "another-secret";
+    const token = tokenOf(await downloadService.createLink(filename, OWNER_ID));
+    config.security.downloadSecret = "test-secret";
+
+    await expect(downloadService.verifyLink(filename, token)).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+    await expect(downloadService.verifyLink(filename, "garbage")).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+  });
+
+  it("rejects a link made for another file", async () => {
+    const otherFilename = await createExport(OWNER_ID);
+    const token = tokenOf(await downloadService.createLink(otherFilename, OWNER_ID));
+
+    await expect(downloadService.verifyLink(filename, token)).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+  });
+
+  it("rejects an expired link", async () => {
+    const token = tokenOf(await downloadService.createLink(filename, OWNER_ID));
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now + 60 * 1000 + 1);
+
+    await expect(downloadService.verifyLink(filename, token)).rejects.toMatchObject({
+      code: "LINK_EXPIRED",
+    });
+  });
+
+  it("rejects a valid link once the export itself has expired", async () => {
+    // A link that outlives the export's retention
+    config.storage.downloadLinkTtl = 7 * 24 * 60 * 60 * 1000;
+    const token = tokenOf(await downloadService.createLink(filename, OWNER_ID));
+    const { expiresAt } = await exportRegistry.getOwned(filename, OWNER_ID);
+    jest.spyOn(Date, "now").mockReturnValue(expiresAt + 1);
+
+    await expect(downloadService.verifyLink(filename, token)).rejects.toMatchObject({
+      code: "EXPORT_EXPIRED",
+    });
+  });
+});
@@ -0,0 +1,355 @@
+/**
+ * Export Registry
+ * Records every export file: the account that created it, what it holds and how long it is kept
+ *
+ * Layout, in the "state" storage area:
+ *   exports/<ownerId>/<filename>.json holds { filename, ownerId, format, dataTypes,
+ *     counts, filters, size, createdAt, expiresAt, deletedAt }
+ *   export-owners/<filename>.json holds { ownerId }, to find a record by filename
+ * Listing an account's exports only reads that account's records. Records of
+ * older versions (exports/<filename>.json) are moved to this layout by cleanup.
+ * The file in storage is deleted at expiresAt. Its record stays in the account's
+ * export history until the user deletes it or it is older than exportHistoryAge.
+ */
+const config = require("../config/config");
+const exporters = require("./exporters");
+const storage = require("./storage");
+const { AppError } = require("../utils/errors");
+
+const HOUR = 60 * 60 * 1000;
+
+const ACCOUNT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// exports/<ownerId>/<filename>.json
+const RECORD_KEY_PATTERN = /^exports\/[^/]+\/[^/]+\.json$/;
+
+// exports/<filename>.json, as written by older versions
+const LEGACY_RECORD_KEY_PATTERN = /^exports\/[^/]+\.json$/;
+
+/**
+ * Storage directory of an account's export records
+ * @param {string} ownerId - YouTube channel ID
+ * @returns {string} Directory key
+ */
+const ownerDir = (ownerId) => {
+  if (!ACCOUNT_ID_PATTERN.test(ownerId)) {
+    throw new Error("Invalid account ID");
+  }
+
+  return `exports/${ownerId}`;
+};
+
+/**
+ * Storage key of the record of an export
+ * @param {string} ownerId - YouTube channel ID of the account that created it
+ * @param {string} filename - Export filename
+ * @returns {string} Storage key
+ */
+const recordKey = (ownerId, filename) => `${ownerDir(ownerId)}/${filename}.json`;
+
+/**
+ * Storage key of the index entry naming the owner of an export
+ * @param {string} filename - Export filename
+ * @returns {string} Storage key
+ */
+const ownerKey = (filename) => `export-owners/${filename}.json`;
+
+/**
+ * Check that a filename is one generateExport could have produced
+ * @param {string} filename - Export filename from a request
+ * @throws {AppError} INVALID_REQUEST for anything else, e.g. a path
+ */
+const assertFilename = (filename) => {
+  if (!exporters.isExportFilename(filename)) {
+    throw new AppError("INVALID_REQUEST", "Invalid export filename");
+  }
+};
+
+/**
+ * Write a record
+ * @param {Object} record - Export record
+ * @returns {Promise<void>}
+ */
+const saveRecord = (record) =>
+  storage
+    .getStorage("state")
+    .put(recordKey(record.ownerId, record.filename), JSON.stringify(record));
+
+/**
+ * Find the account an export belongs to
+ * @param {string} filename - Export filename
+ * @returns {Promise<string>} YouTube channel ID of the owner
+ * @throws {AppError} NOT_FOUND for an unknown export
+ */
+const readOwner = async (filename) => {
+  try {
+    return JSON.parse(await storage.getStorage("state").get(ownerKey(filename))).ownerId;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    throw new AppError("NOT_FOUND", "Export not found");
+  }
+};
+
+/**
+ * Read the export records below a directory
+ * @param {string} dir - ownerDir() of an account, or "exports" for every account
+ * @returns {Promise<Object[]>} Records (unreadable ones are skipped)
+ */
+const loadRecords = async (dir) => {
+  const state = storage.getStorage("state");
+  const records = [];
+
+  for (const { key } of await state.list(dir)) {
+    if (!RECORD_KEY_PATTERN.test(key)) {
+      continue;
+    }
+
+    try {
+      records.push(JSON.parse(await state.get(key)));
+    } catch (error) {
+      console.error(`Error reading export record ${key}:`, error);
+    }
+  }
+
+  return records;
+};
+
+/**
+ * Move records of older versions to their owner's directory and index them
+ * @returns {Promise<void>}
+ */
+const migrateLegacyRecords = async () => {
+  const state = storage.getStorage("state");
+
+  for (const { key } of await state.list("exports")) {
+    if (!LEGACY_RECORD_KEY_PATTERN.test(key)) {
+      continue;
+    }
+
+    try {
+      const record = JSON.parse(await state.get(key));
+      await saveRecord(record);
+      await state.put(ownerKey(record.filename), JSON.stringify({ ownerId: record.ownerId }));
+      await state.remove(key);
+    } catch (error) {
+      console.error(`Error moving export record ${key}:`, error);
+    }
+  }
+};
+
+/**
+ * Keep only the filters that were set
+ * @param {Object|null} filters - Filters from filterService.parseFilters
+ * @returns {Object} Set filters, e.g. { keyword: "review" }
+ */
+const compactFilters = (filters) => {
+  const set = {};
+  Object.entries(filters || {}).forEach(([name, value]) => {
+    if (Array.isArray(value) ? value.length > 0 : value !== null) {
+      set[name] = value;
+    }
+  });
+  return set;
+};
+
+/**
+ * Delete an export file, if it is still there
+ * @param {string} filename - Export filename
+ * @returns {Promise<void>}
+ */
+const deleteFile = (filename) => storage.getStorage().remove(filename);
+
+/**
+ * Delete an export file, its record and its index entry
+ * @param {string} ownerId - YouTube channel ID of the account that created it
+ * @param {string} filename - Export filename
+ * @returns {Promise<void>}
+ */
+const deleteExport = async (ownerId, filename) => {
+  const state = storage.getStorage("state");
+
+  await deleteFile(filename);
+  await state.remove(recordKey(ownerId, filename));
+  await state.remove(ownerKey(filename));
+};
+
+module.exports = {
+  /**
+   * Read how long an export file should be kept
+   * @param {number|string|undefined} hours - Retention in hours, from a request
+   * @returns {number} Retention in milliseconds (the default when not given)
+   * @throws {AppError} INVALID_REQUEST when it isn't a number of hours up to the maximum
+   */
+  parseRetention(hours) {
+    if (hours === undefined || hours === null || hours === "") {
+      return config.storage.exportRetention;
+    }
+
+    const retention = Number(hours) * HOUR;
+
+    if (!(retention > 0) || retention > config.storage.maxExportRetention) {
+      throw new AppError(
+        "INVALID_REQUEST",
+        `Retention must be between 0 and ${config.storage.maxExportRetention / HOUR} hours`
+      );
+    }
+
+    return retention;
+  },
+
+  /**
+   * Record a new export file
+   * @param {Object} exportInfo - What was exported
+   * @param {string} exportInfo.filename - Filename as returned by generateExport
+   * @param {string} exportInfo.ownerId - ID of the account that created it (see
+   *   youtubeService.getAccountId)
+   * @param {string} exportInfo.format - Export format
+   * @param {Object} exportInfo.counts - Rows exported per data type
+   * @param {Object|null} [exportInfo.filters] - Filters from filterService.parseFilters
+   * @param {number} [exportInfo.retention] - How long to keep the file, in milliseconds
+   * @returns {Promise<Object>} The record
+   * @throws {AppError} INTERNAL_ERROR without an owner
+   */
+  async register({ filename, ownerId, format, counts, filters, retention }) {
+    assertFilename(filename);
+
+    if (!ownerId) {
+      throw new AppError("INTERNAL_ERROR", "Exports need an owner account");
+    }
+
+    const { size } = await storage.getStorage().stat(filename);
+    const createdAt = Date.now();
+    const record = {
+      filename,
+      ownerId,
+      format,
+      dataTypes: Object.keys(counts).filter((key) => counts[key] > 0),
+      counts,
+      filters: compactFilters(filters),
+      size,
+      createdAt,
+      expiresAt: createdAt + (retention || config.storage.exportRetention),
+      deletedAt: null,
+    };
+
+    await saveRecord(record);
+    await storage
+      .getStorage("state")
+      .put(ownerKey(filename), JSON.stringify({ ownerId }));
+    return record;
+  },
+
+  /**
+   * Get the record of an export owned by an account
+   * @param {string} filename - Export filename
+   * @param {string} accountId - YouTube channel ID of the requesting account
+   * @returns {Promise<Object>} The record
+   * @throws {AppError} INVALID_REQUEST for a malformed filename, NOT_FOUND for an
+   *   unknown export and FORBIDDEN for another account's export
+   */
+  async getOwned(filename, accountId) {
+    assertFilename(filename);
+
+    const ownerId = await readOwner(filename);
+
+    if (ownerId !== accountId) {
+      throw new AppError("FORBIDDEN", "This export belongs to another account");
+    }
+
+    try {
+      return JSON.parse(await storage.getStorage("state").get(recordKey(ownerId, filename)));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      throw new AppError("NOT_FOUND", "Export not found");
+    }
+  },
+
+  /**
+   * Check whether the file of an export can still be downloaded
+   * @param {Object} record - Export record
+   * @returns {boolean} True until the file expires or is deleted
+   */
+  isAvailable(record) {
+    return !record.deletedAt && Date.now() <= record.expiresAt;
+  },
+
+  /**
+   * List an account's exports, newest first
+   * @param {string} accountId - YouTube channel ID
+   * @returns {Promise<Object[]>} Export records
+   */
+  async list(accountId) {
+    const records = await loadRecords(ownerDir(accountId));
+
+    return records
+      .filter((record) => record.ownerId === accountId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  /**
+   * Delete an export file and remove it from the history
+   * @param {string} filename - Export filename
+   * @returns {Promise<void>}
+   * @throws {AppError} INVALID_REQUEST for a malformed filename and NOT_FOUND for
+   *   an unknown export
+   */
+  async remove(filename) {
+    assertFilename(filename);
+
+    await deleteExport(await readOwner(filename), filename);
+  },
+
+  /**
+   * Delete export files past their retention, drop history older than
+   * exportHistoryAge, and delete export files that never got a record
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    const now = Date.now();
+    const known = new Set();
+
+    let records;
+    try {
+      await migrateLegacyRecords();
+      records = await loadRecords("exports");
+    } catch (error) {
+      console.error("Error reading export records:", error);
+      return;
+    }
+
+    for (const record of records) {
+      known.add(record.filename);
+
+      try {
+        if (now - record.createdAt > config.storage.exportHistoryAge) {
+          await deleteExport(record.ownerId, record.filename);
+        } else if (!record.deletedAt && now > record.expiresAt) {
+          await deleteFile(record.filename);
+          await saveRecord({ ...record, deletedAt: now });
+          console.log(`Deleted expired export: ${record.filename}`);
+        }
+      } catch (error) {
+        console.error(`Error cleaning up export record ${record.filename}:`, error);
+      }
+    }
+
+    // Files whose export failed before it was recorded
+    try {
+      for (const { key, modifiedAt } of await storage.getStorage().list()) {
+        if (
+          exporters.isExportFilename(key) &&
+          !known.has(key) &&
+          now - modifiedAt > config.storage.maxFileAge
+        ) {
+          await deleteFile(key);
+        }
+      }
+    } catch (error) {
+      console.error("Error cleaning up unrecorded exports:", error);
+    }
+  },
+};
@@ -0,0 +1,101 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config/config");
+const exporters = require("./exporters");
+const exportRegistry = require("./exportRegistry");
+const storage = require("./storage");
+
+/**
+ * Write and register an export file
+ * @param {string} ownerId - Account the export belongs to
+ * @returns {Promise<string>} Its filename
+ */
+const createExport = async (ownerId) => {
+  const filename = await exporters.generateExport({ likedVideos: [{ id: "v1" }] }, "json");
+
+  await exportRegistry.register({ filename, ownerId, format: "json", counts: { likedVideos: 1 } });
+  return filename;
+};
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "registry-test-"));
+  config.storage.tempDir = path.join(dir, "temp");
+  config.storage.dataDir = path.join(dir, "data");
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("list", () => {
+  it("lists an account's exports, reading only that account's records", async () => {
+    const first = await createExport("UClister");
+    await createExport("UCother");
+    const second = await createExport("UClister");
+    const get = jest.spyOn(storage.getStorage("state"), "get");
+
+    const records = await exportRegistry.list("UClister");
+
+    expect(records.map(({ filename }) => filename).sort()).toEqual([first, second].sort());
+    expect(get).toHaveBeenCalledTimes(2);
+    expect(get.mock.calls.every(([key]) => key.startsWith("exports/UClister/"))).toBe(true);
+  });
+});
+
+describe("getOwned", () => {
+  it("finds an export by filename for its owner only", async () => {
+    const filename = await createExport("UCowner");
+
+    expect((await exportRegistry.getOwned(filename, "UCowner")).filename).toBe(filename);
+    await expect(exportRegistry.getOwned(filename, "UCother")).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+  });
+
+  it("no longer finds a removed export", async () => {
+    const filename = await createExport("UCowner");
+
+    await exportRegistry.remove(filename);
+
+    await expect(exportRegistry.getOwned(filename, "UCowner")).rejects.toMatchObject({
+      code: "NOT_FOUND",
+    });
+    expect(await exportRegistry.list("UCowner")).not.toContainEqual(
+      expect.objectContaining({ filename })
+    );
+  });
+});
+
+describe("cleanup", () => {
+  it("moves records of older versions to their owner", async () => {
+    const filename = await exporters.generateExport({ likedVideos: [] }, "json");
+    const record = {
+      filename,
+      ownerId: "UClegacy",
+      format: "json",
+      dataTypes: [],
+      counts: { likedVideos: 0 },
+      filters: {},
+      size: 1,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + 60 * 1000,
+      deletedAt: null,
+    };
+    await storage.getStorage("state").put(`exports/${filename}.json`, JSON.stringify(record));
+
+    await exportRegistry.cleanup();
+
+    expect(await exportRegistry.getOwned(filename, "UClegacy")).toEqual(record);
+    expect(await exportRegistry.list("UClegacy")).toEqual([record]);
+    expect(fs.existsSync(path.join(config.storage.dataDir, "exports", `${filename}.json`))).toBe(
+      false
+    );
+  });
+});
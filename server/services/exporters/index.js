@@ -0,0 +1,107 @@
+/**
+ * Exporter Registry
+ * Maps export formats to the writers that produce them
+ */
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const storage = require("../storage");
+const csvService = require("../csvService");
+const jsonExporter = require("./jsonExporter");
+const ndjsonExporter = require("./ndjsonExporter");
+const xlsxExporter = require("./xlsxExporter");
+const zipExporter = require("./zipExporter");
+
+const exporters = {
+  csv: {
+    extension: "csv",
+    contentType: "text/csv",
+    write: (data, output, options) => csvService.writeCsv(data, output, options),
+  },
+  json: jsonExporter,
+  ndjson: ndjsonExporter,
+  xlsx: xlsxExporter,
+  zip: zipExporter,
+};
+
+/**
+ * Look up the exporter of a format
+ * @param {string} format - Export format, e.g. "csv"
+ * @returns {Object|undefined} The exporter; never a property every object
+ *   inherits, such as "constructor"
+ */
+const findExporter = (format) =>
+  Object.hasOwn(exporters, format) ? exporters[format] : undefined;
+
+// youtube_data_<ISO timestamp>_<random>.<extension>, as named by generateExport
+const FILENAME_PATTERN = new RegExp(
+  `^youtube_data_[0-9T-]+Z_[0-9a-f]{16}\\.(${Object.values(exporters)
+    .map((exporter) => exporter.extension)
+    .join("|")})$`
+);
+
+module.exports = {
+  /**
+   * Supported export formats
+   * @type {string[]}
+   */
+  FORMATS: Object.keys(exporters),
+
+  /**
+   * Get the exporter for a format
+   * @param {string} format - Export format, e.g. "csv"
+   * @returns {Object|undefined} Exporter with extension, contentType and
+   *   write(data, output, options), which writes the file to a stream and ends it.
+   *   Exporters read the rows (arrays or row sources) as they write, so an export
+   *   is never held in memory as a whole.
+   */
+  getExporter(format) {
+    return findExporter(format);
+  },
+
+  /**
+   * Check whether a filename is one generateExport produces
+   * @param {string} filename - Filename, e.g. from a download URL
+   * @returns {boolean} True for export filenames (never for paths)
+   */
+  isExportFilename(filename) {
+    return typeof filename === "string" && FILENAME_PATTERN.test(filename);
+  },
+
+  /**
+   * Generate an export file in the requested format
+   * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+   * @param {string} [format="csv"] - Export format
+   * @param {Object} [options] - Export options
+   * @param {Object|null} [options.columns] - Columns to export per data type (see dataTypes.parseColumns)
+   * @returns {Promise<string>} Filename of the generated export
+   */
+  async generateExport(data, format = "csv", options = {}) {
+    const exporter = findExporter(format);
+
+    if (!exporter) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    try {
+      // Generate a unique filename; the random part keeps it from being guessed
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      const random = crypto.randomBytes(8).toString("hex");
+      const filename = `youtube_data_${timestamp}_${random}.${exporter.extension}`;
+      const output = new PassThrough();
+
+      // The file is streamed into storage as the exporter writes it
+      await Promise.all([
+        storage.getStorage().writeStream(filename, output),
+        exporter.write(data, output, options).catch((error) => {
+          output.destroy(error);
+          throw error;
+        }),
+      ]);
+
+      return filename;
+    } catch (error) {
+      console.error(`Error generating ${format} export:`, error);
+      throw new Error(`Failed to generate ${format.toUpperCase()} file`);
+    }
+  },
+};
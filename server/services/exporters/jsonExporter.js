@@ -0,0 +1,55 @@
+/**
+ * JSON Exporter
+ * Writes a single JSON document with one array per data type
+ */
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const dataTypes = require("../dataTypes");
+
+/**
+ * Serialize a value as JSON.stringify(value, null, 2) would inside the document
+ * @param {*} value - Value to serialize
+ * @param {string} indent - Indentation of the value's own line
+ * @returns {string} JSON text
+ */
+const toJson = (value, indent) =>
+  JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+
+module.exports = {
+  extension: "json",
+  contentType: "application/json",
+
+  /**
+   * Write YouTube data as a JSON file
+   * The document is written an item at a time; it is laid out exactly as
+   * JSON.stringify(document, null, 2) would.
+   * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+   * @param {stream.Writable} output - Destination, ended once the file is written
+   * @param {Object} [options] - Export options ({ columns })
+   * @returns {Promise<void>}
+   */
+  async write(data, output, options = {}) {
+    const present = dataTypes.getPresentDataTypes(data, options.columns);
+
+    async function* document() {
+      yield `{\n  "generatedAt": ${toJson(new Date().toISOString(), "  ")}`;
+
+      for (const { key, fields, selected } of present) {
+        let separator = "";
+        yield `,\n  ${JSON.stringify(key)}: [`;
+
+        for await (const item of data[key]) {
+          const row = selected ? dataTypes.pickFields(item, fields) : item;
+          yield `${separator}\n    ${toJson(row, "    ")}`;
+          separator = ",";
+        }
+
+        yield "\n  ]";
+      }
+
+      yield "\n}";
+    }
+
+    await pipeline(Readable.from(document()), output);
+  },
+};
@@ -0,0 +1,34 @@
+/**
+ * Newline-Delimited JSON Exporter
+ * Writes one JSON object per line, tagged with its data type
+ */
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const dataTypes = require("../dataTypes");
+
+module.exports = {
+  extension: "ndjson",
+  contentType: "application/x-ndjson",
+
+  /**
+   * Write YouTube data as an NDJSON file, one line at a time
+   * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+   * @param {stream.Writable} output - Destination, ended once the file is written
+   * @param {Object} [options] - Export options ({ columns })
+   * @returns {Promise<void>}
+   */
+  async write(data, output, options = {}) {
+    const present = dataTypes.getPresentDataTypes(data, options.columns);
+
+    async function* lines() {
+      for (const { key, fields, selected } of present) {
+        for await (const item of data[key]) {
+          const row = selected ? dataTypes.pickFields(item, fields) : item;
+          yield JSON.stringify({ dataType: key, ...row }) + "\n";
+        }
+      }
+    }
+
+    await pipeline(Readable.from(lines()), output);
+  },
+};
@@ -0,0 +1,58 @@
+/**
+ * XLSX Exporter
+ * Writes an Excel workbook with one sheet per data type
+ */
+const ExcelJS = require("exceljs");
+const dataTypes = require("../dataTypes");
+
+module.exports = {
+  extension: "xlsx",
+  contentType:
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+
+  /**
+   * Write YouTube data as an XLSX workbook
+   * Rows are committed to the output as they are read, so the workbook is never
+   * held in memory as a whole.
+   * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+   * @param {stream.Writable} output - Destination, ended once the file is written
+   * @param {Object} [options] - Export options ({ columns })
+   * @returns {Promise<void>}
+   */
+  async write(data, output, options = {}) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream: output,
+      useStyles: true,
+    });
+    workbook.creator = "YouTube Data Exporter";
+    workbook.created = new Date();
+
+    const present = dataTypes.getPresentDataTypes(data, options.columns);
+
+    for (const { key, title, fields } of present) {
+      const sheet = workbook.addWorksheet(title, {
+        views: [{ state: "frozen", ySplit: 1 }],
+      });
+
+      sheet.columns = fields.map(({ label, value }) => ({
+        header: label,
+        key: value,
+        width: Math.max(12, label.length + 2),
+      }));
+      sheet.getRow(1).font = { bold: true };
+
+      for await (const item of data[key]) {
+        sheet.addRow(item).commit();
+      }
+
+      sheet.commit();
+    }
+
+    // Excel refuses to open a workbook without any sheets
+    if (present.length === 0) {
+      workbook.addWorksheet("Export").commit();
+    }
+
+    await workbook.commit();
+  },
+};
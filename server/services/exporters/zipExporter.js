@@ -0,0 +1,61 @@
+/**
+ * ZIP Bundle Exporter
+ * Writes one CSV file per data type plus a manifest.json describing them
+ */
+const archiver = require("archiver");
+const { finished } = require("stream/promises");
+const csvService = require("../csvService");
+const dataTypes = require("../dataTypes");
+
+module.exports = {
+  extension: "zip",
+  contentType: "application/zip",
+
+  /**
+   * Write YouTube data as a ZIP archive of CSV files
+   * Each CSV file is streamed into the archive as its rows are read.
+   * @param {Object} data - Data to export, keyed by data type (arrays or row sources)
+   * @param {stream.Writable} output - Destination, ended once the file is written
+   * @param {Object} [options] - Export options ({ columns })
+   * @returns {Promise<void>}
+   */
+  async write(data, output, options = {}) {
+    const generatedAt = new Date().toISOString();
+    const archive = archiver("zip", { zlib: { level: 9 } });
+    const done = new Promise((resolve, reject) => {
+      output.on("finish", resolve);
+      output.on("error", reject);
+      archive.on("error", reject);
+    });
+
+    archive.pipe(output);
+
+    const manifest = {
+      generatedAt,
+      files: [],
+    };
+
+    for (const { key, fileName, fields } of dataTypes.getPresentDataTypes(
+      data,
+      options.columns
+    )) {
+      const name = `${fileName}.csv`;
+      const csv = csvService.createCsvStream(data[key], fields);
+
+      // One file at a time, so only one data type is being read
+      archive.append(csv, { name });
+      await Promise.race([finished(csv), done]);
+
+      manifest.files.push({
+        name,
+        dataType: key,
+        rowCount: data[key].length,
+        columns: fields.map(({ label, value }) => ({ name: label, field: value })),
+      });
+    }
+
+    archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+    await archive.finalize();
+    await done;
+  },
+};
@@ -0,0 +1,222 @@
+/**
+ * Export Filter Service
+ * Filters fetched YouTube data by date, channel, duration and keyword
+ *
+ * Filters (all optional):
+ * - publishedAfter / publishedBefore: video publish date (liked videos, playlist items)
+ * - watchedAfter / watchedBefore: watch date (watch history)
+ * - includeChannels / excludeChannels: channel IDs (every data type with a channel)
+ * - minDuration / maxDuration: video length in seconds (liked videos)
+ * - keyword: case-insensitive match on title or description (every data type)
+ */
+
+// Item fields each filter applies to, per data type.
+// A filter is ignored for data types that don't list its field.
+const filterFields = {
+  likedVideos: { published: "publishedAt", channel: "channelId", duration: "duration" },
+  watchHistory: { watched: "watchedAt", channel: "channelId" },
+  subscriptions: { channel: "channelId" },
+  playlists: {},
+  playlistItems: { published: "videoPublishedAt", channel: "channelId" },
+};
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date filter value
+ * A plain date (YYYY-MM-DD) used as an upper bound includes that whole day.
+ * @param {string} name - Filter name, for error messages
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {string|null} ISO 8601 date-time, or null if not set
+ */
+const parseDate = (name, value, endOfDay) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const text = String(value);
+  const date = new Date(
+    DATE_ONLY_PATTERN.test(text) && endOfDay ? `${text}T23:59:59.999Z` : text
+  );
+
+  if (isNaN(date)) {
+    throw new Error(`Invalid date for ${name}: ${text}`);
+  }
+
+  // Kept as a string so filters survive being stored with a job
+  return date.toISOString();
+};
+
+/**
+ * Parse a list of channel IDs, given as an array or a comma-separated string
+ * @param {Array|string} value - Channel IDs
+ * @returns {Array} Channel IDs (empty if not set)
+ */
+const parseChannels = (value) => {
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return list.map((channelId) => String(channelId).trim()).filter(Boolean);
+};
+
+/**
+ * Parse a duration filter value in seconds
+ * @param {string} name - Filter name, for error messages
+ * @param {number|string} value - Number of seconds
+ * @returns {number|null} Seconds, or null if not set
+ */
+const parseSeconds = (name, value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid number of seconds for ${name}: ${value}`);
+  }
+
+  return seconds;
+};
+
+/**
+ * Whether a date field lies within a range
+ * @param {string} value - ISO 8601 date of the item
+ * @param {string|null} after - Lower bound (ISO 8601)
+ * @param {string|null} before - Upper bound (ISO 8601)
+ * @returns {boolean} True if within the range (or no range is set)
+ */
+const inRange = (value, after, before) => {
+  if (!after && !before) {
+    return true;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    return false;
+  }
+
+  return (!after || date >= new Date(after)) && (!before || date <= new Date(before));
+};
+
+module.exports = {
+  /**
+   * Parse and validate filters from a query string or request body
+   * @param {Object} [input] - Raw filter values
+   * @returns {Object|null} Normalized filters, or null if none are set
+   */
+  parseFilters(input = {}) {
+    const filters = {
+      publishedAfter: parseDate("publishedAfter", input.publishedAfter, false),
+      publishedBefore: parseDate("publishedBefore", input.publishedBefore, true),
+      watchedAfter: parseDate("watchedAfter", input.watchedAfter, false),
+      watchedBefore: parseDate("watchedBefore", input.watchedBefore, true),
+      includeChannels: parseChannels(input.includeChannels),
+      excludeChannels: parseChannels(input.excludeChannels),
+      minDuration: parseSeconds("minDuration", input.minDuration),
+      maxDuration: parseSeconds("maxDuration", input.maxDuration),
+      keyword: String(input.keyword || "").trim().toLowerCase() || null,
+    };
+
+    const isSet = Object.values(filters).some((value) =>
+      Array.isArray(value) ? value.length > 0 : value !== null
+    );
+
+    return isSet ? filters : null;
+  },
+
+  /**
+   * Convert an ISO 8601 duration (e.g. "PT1H2M3S") to seconds
+   * @param {string} isoDuration - ISO 8601 duration
+   * @returns {number|null} Seconds, or null if it can't be parsed
+   */
+  parseDuration(isoDuration) {
+    const match = String(isoDuration || "").match(
+      /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+    );
+
+    if (!match) return null;
+
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return days * 86400 + hours * 3600 + minutes * 60 + Number(seconds);
+  },
+
+  /**
+   * Keep only the items of a data type that match the filters
+   * @param {string} key - Data type key, e.g. "likedVideos"
+   * @param {Array} items - Items to filter
+   * @param {Object|null} filters - Filters from parseFilters
+   * @returns {Array} Matching items
+   */
+  applyFilters(key, items, filters) {
+    if (!filters || !Array.isArray(items)) {
+      return items;
+    }
+
+    const fields = filterFields[key] || {};
+    const hasDurationFilter = filters.minDuration !== null || filters.maxDuration !== null;
+
+    return items.filter((item) => {
+      if (
+        fields.published &&
+        !inRange(item[fields.published], filters.publishedAfter, filters.publishedBefore)
+      ) {
+        return false;
+      }
+
+      if (
+        fields.watched &&
+        !inRange(item[fields.watched], filters.watchedAfter, filters.watchedBefore)
+      ) {
+        return false;
+      }
+
+      if (fields.channel) {
+        const channelId = item[fields.channel];
+        if (
+          filters.includeChannels.length > 0 &&
+          !filters.includeChannels.includes(channelId)
+        ) {
+          return false;
+        }
+        if (filters.excludeChannels.includes(channelId)) {
+          return false;
+        }
+      }
+
+      if (fields.duration && hasDurationFilter) {
+        const seconds = this.parseDuration(item[fields.duration]);
+        if (
+          seconds === null ||
+          (filters.minDuration !== null && seconds < filters.minDuration) ||
+          (filters.maxDuration !== null && seconds > filters.maxDuration)
+        ) {
+          return false;
+        }
+      }
+
+      if (filters.keyword) {
+        const text = `${item.title || ""}\n${item.description || ""}`.toLowerCase();
+        if (!text.includes(filters.keyword)) {
+          return false;
+        }
+      }
+
+      return true;
+    });
+  },
+
+  /**
+   * Filter every data type of an export
+   * @param {Object} data - Export data keyed by data type
+   * @param {Object|null} filters - Filters from parseFilters
+   * @returns {Object} Filtered data keyed by data type
+   */
+  filterData(data, filters) {
+    const filtered = {};
+
+    Object.keys(data).forEach((key) => {
+      filtered[key] = this.applyFilters(key, data[key], filters);
+    });
+
+    return filtered;
+  },
+};
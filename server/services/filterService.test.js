@@ -0,0 +1,138 @@
+const filterService = require("./filterService");
+
+const videos = [
+  {
+    id: "short",
+    title: "Quick tip",
+    description: "",
+    channelId: "UCa",
+    publishedAt: "2024-01-10T12:00:00Z",
+    duration: "PT45S",
+  },
+  {
+    id: "long",
+    title: "Full lecture",
+    description: "An hour on JavaScript",
+    channelId: "UCb",
+    publishedAt: "2024-03-01T08:00:00Z",
+    duration: "PT1H2M3S",
+  },
+  {
+    id: "live",
+    title: "Stream",
+    description: "",
+    channelId: "UCc",
+    publishedAt: "2024-03-31T23:30:00Z",
+    duration: "P0D",
+  },
+];
+
+const ids = (items) => items.map(({ id }) => id);
+
+describe("parseFilters", () => {
+  it("returns null when no filter is set", () => {
+    expect(filterService.parseFilters({})).toBeNull();
+    expect(filterService.parseFilters({ keyword: "  ", includeChannels: "" })).toBeNull();
+  });
+
+  it("normalizes dates, channel lists and keywords", () => {
+    const filters = filterService.parseFilters({
+      publishedAfter: "2024-03-01",
+      publishedBefore: "2024-03-31",
+      includeChannels: "UCa, UCb,",
+      keyword: " JavaScript ",
+    });
+
+    expect(filters.publishedAfter).toBe("2024-03-01T00:00:00.000Z");
+    // A plain date as upper bound includes that whole day
+    expect(filters.publishedBefore).toBe("2024-03-31T23:59:59.999Z");
+    expect(filters.includeChannels).toEqual(["UCa", "UCb"]);
+    expect(filters.keyword).toBe("javascript");
+  });
+
+  it("rejects invalid dates and durations", () => {
+    expect(() => filterService.parseFilters({ watchedAfter: "yesterday" })).toThrow(
+      "Invalid date for watchedAfter"
+    );
+    expect(() => filterService.parseFilters({ minDuration: -1 })).toThrow(
+      "Invalid number of seconds for minDuration"
+    );
+  });
+});
+
+describe("parseDuration", () => {
+  it("converts ISO 8601 durations to seconds", () => {
+    expect(filterService.parseDuration("PT1H2M3S")).toBe(3723);
+    expect(filterService.parseDuration("P1DT1S")).toBe(86401);
+    expect(filterService.parseDuration("P0D")).toBe(0);
+  });
+
+  it("returns null for anything else", () => {
+    expect(filterService.parseDuration("1:02:03")).toBeNull();
+    expect(filterService.parseDuration(undefined)).toBeNull();
+  });
+});
+
+describe("applyFilters", () => {
+  it("returns the items unchanged without filters", () => {
+    expect(filterService.applyFilters("likedVideos", videos, null)).toBe(videos);
+  });
+
+  it("filters by date range, including the whole last day", () => {
+    const filters = filterService.parseFilters({
+      publishedAfter: "2024-03-01",
+      publishedBefore: "2024-03-31",
+    });
+
+    expect(ids(filterService.applyFilters("likedVideos", videos, filters))).toEqual([
+      "long",
+      "live",
+    ]);
+  });
+
+  it("filters by included and excluded channels", () => {
+    expect(
+      ids(
+        filterService.applyFilters(
+          "likedVideos",
+          videos,
+          filterService.parseFilters({ includeChannels: ["UCa", "UCb"], excludeChannels: "UCb" })
+        )
+      )
+    ).toEqual(["short"]);
+  });
+
+  it("filters by duration", () => {
+    const filters = filterService.parseFilters({ minDuration: 60, maxDuration: 7200 });
+
+    expect(ids(filterService.applyFilters("likedVideos", videos, filters))).toEqual(["long"]);
+  });
+
+  it("matches keywords in titles and descriptions, ignoring case", () => {
+    const filters = filterService.parseFilters({ keyword: "javascript" });
+
+    expect(ids(filterService.applyFilters("likedVideos", videos, filters))).toEqual(["long"]);
+  });
+
+  it("ignores filters a data type has no field for", () => {
+    const subscriptions = [{ id: "s1", title: "Channel", channelId: "UCa" }];
+    const filters = filterService.parseFilters({
+      publishedAfter: "2030-01-01",
+      minDuration: 60,
+    });
+
+    expect(filterService.applyFilters("subscriptions", subscriptions, filters)).toEqual(
+      subscriptions
+    );
+  });
+
+  it("filters watch history by watch date", () => {
+    const history = [
+      { id: "h1", watchedAt: "2024-05-01T10:00:00Z" },
+      { id: "h2", watchedAt: "2024-06-01T10:00:00Z" },
+    ];
+    const filters = filterService.parseFilters({ watchedBefore: "2024-05-31" });
+
+    expect(ids(filterService.applyFilters("watchHistory", history, filters))).toEqual(["h1"]);
+  });
+});
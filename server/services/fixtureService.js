@@ -0,0 +1,192 @@
+/**
+ * YouTube Fixture Service
+ * Records YouTube API responses to fixture files and replays them offline
+ *
+ * The mode comes from config.fixtures.mode:
+ * - live: requests go to YouTube (default)
+ * - record: requests go to YouTube and every successful response is saved
+ * - replay: nothing goes to Google; responses are read from the fixtures and
+ *   sign-in hands out fake tokens
+ *
+ * Layout: <fixturesDir>/<resource>/<requestHash>.json holds
+ * { resource, params, status, data } for one list request. maxResults is left
+ * out of the hash, so a replay asking for a different page size still matches;
+ * a smaller page gets the first items of the recorded one.
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { google } = require("googleapis");
+const config = require("../config/config");
+
+const MODES = ["live", "record", "replay"];
+
+// YouTube API resources the app lists
+const RESOURCES = [
+  "activities",
+  "channels",
+  "playlistItems",
+  "playlists",
+  "subscriptions",
+  "videos",
+];
+
+// Prefix of the tokens handed out in replay mode
+const REPLAY_TOKEN_PREFIX = "replay-";
+
+if (!MODES.includes(config.fixtures.mode)) {
+  throw new Error(
+    `Unknown YOUTUBE_MODE "${config.fixtures.mode}", expected one of: ${MODES.join(", ")}`
+  );
+}
+
+/**
+ * File holding the recorded response of a request
+ * @param {string} resource - API resource, e.g. "videos"
+ * @param {Object} params - Request parameters
+ * @returns {string} File path
+ */
+const fixtureFile = (resource, params) => {
+  // Sorted, and without unset parameters, so the same request always matches
+  const request = JSON.stringify([
+    resource,
+    Object.keys(params)
+      .filter((name) => name !== "maxResults" && params[name] != null)
+      .sort()
+      .map((name) => [name, params[name]]),
+  ]);
+  const requestHash = crypto.createHash("sha256").update(request).digest("hex");
+
+  return path.join(config.fixtures.dir, resource, `${requestHash}.json`);
+};
+
+/**
+ * Create the error YouTube would send for a missing resource
+ * @param {string} message - Error message
+ * @returns {Error} Error shaped like a googleapis 404
+ */
+const notFoundError = (message) => {
+  const error = new Error(message);
+  error.response = { status: 404, headers: {}, data: { error: { message } } };
+  return error;
+};
+
+/**
+ * YouTube client that answers from the fixtures
+ * @returns {Object} Client with a list method per resource
+ */
+const createReplayClient = () => {
+  const youtube = {};
+
+  RESOURCES.forEach((resource) => {
+    youtube[resource] = {
+      list: async (params) => {
+        try {
+          const fixture = JSON.parse(
+            await fs.promises.readFile(fixtureFile(resource, params), "utf8")
+          );
+          const { data } = fixture;
+          const items =
+            data.items && params.maxResults !== undefined
+              ? data.items.slice(0, params.maxResults)
+              : data.items;
+
+          return { status: fixture.status, headers: {}, data: { ...data, items } };
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            throw error;
+          }
+          throw notFoundError(
+            `No recorded response for ${resource}.list ${JSON.stringify(params)}`
+          );
+        }
+      },
+    };
+  });
+
+  return youtube;
+};
+
+/**
+ * Wrap a YouTube client so every successful response is saved as a fixture
+ * @param {Object} youtube - googleapis YouTube client
+ * @returns {Object} Client with a list method per resource
+ */
+const createRecordingClient = (youtube) => {
+  const recording = {};
+
+  RESOURCES.forEach((resource) => {
+    recording[resource] = {
+      list: async (params, options) => {
+        const response = await youtube[resource].list(params, options);
+
+        // A 304 has no body to replay; the fixture of the first response stays
+        if (response.status !== 304) {
+          const filePath = fixtureFile(resource, params);
+          const fixture = { resource, params, status: response.status, data: response.data };
+
+          await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+          await fs.promises.writeFile(filePath, JSON.stringify(fixture, null, 2), "utf8");
+        }
+
+        return response;
+      },
+    };
+  });
+
+  return recording;
+};
+
+module.exports = {
+  /**
+   * Whether the app runs offline from fixtures
+   * @returns {boolean} True in replay mode
+   */
+  isReplaying() {
+    return config.fixtures.mode === "replay";
+  },
+
+  /**
+   * Create the YouTube API client for the current mode
+   * @param {OAuth2Client} auth - Authenticated OAuth2 client (unused when replaying)
+   * @returns {Object} googleapis YouTube client, or one that records or replays
+   */
+  createClient(auth) {
+    if (this.isReplaying()) {
+      return createReplayClient();
+    }
+
+    const youtube = google.youtube({ version: "v3", auth });
+    return config.fixtures.mode === "record" ? createRecordingClient(youtube) : youtube;
+  },
+
+  /**
+   * Create fake OAuth tokens for replay mode
+   * @returns {Object} Tokens shaped like Google's ({ access_token, refresh_token, expiry_date, ... })
+   */
+  createTokens() {
+    const random = () => crypto.randomBytes(16).toString("hex");
+
+    return {
+      access_token: `${REPLAY_TOKEN_PREFIX}${random()}`,
+      refresh_token: `${REPLAY_TOKEN_PREFIX}${random()}`,
+      scope: config.google.scopes.join(" "),
+      token_type: "Bearer",
+      expiry_date: Date.now() + 60 * 60 * 1000,
+    };
+  },
+
+  /**
+   * Token info for a token handed out in replay mode
+   * @param {string} token - The access token
+   * @returns {Object} { scopes } as returned by Google's token info
+   * @throws {Error} When the token was not handed out in replay mode
+   */
+  getTokenInfo(token) {
+    if (!token.startsWith(REPLAY_TOKEN_PREFIX)) {
+      throw new Error("Only tokens from the replay sign-in are valid in replay mode");
+    }
+
+    return { scopes: config.google.scopes };
+  },
+};
@@ -0,0 +1,1020 @@
+/**
+ * Export Job Service
+ * Runs exports on the server: fetches data from YouTube and writes the export file
+ *
+ * Jobs checkpoint after every page they fetch (see jobStore), so a job that
+ * fails, is cancelled or is interrupted by a restart can be resumed. Jobs are
+ * kept in storage, so with shared storage any server instance can report on a
+ * job and resume it, while only the instance running a job can cancel it.
+ */
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const config = require("../config/config");
+const youtubeService = require("./youtubeService");
+const takeoutService = require("./takeoutService");
+const jobStore = require("./jobStore");
+const deltaService = require("./deltaService");
+const filterService = require("./filterService");
+const exporters = require("./exporters");
+const exportRegistry = require("./exportRegistry");
+const rowSource = require("./rowSource");
+const storage = require("./storage");
+const { AppError } = require("../utils/errors");
+
+// Jobs started or resumed by this process, by ID, until they finish; every job
+// is also persisted through jobStore, where all other jobs are read from
+const jobs = new Map();
+
+// Abort controllers of the jobs currently running in this process
+const runningJobs = new Map();
+
+// Emits "update" with the job whenever a job changes
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// States in which a job is no longer running
+const FINISHED_STATES = ["completed", "failed", "cancelled", "interrupted", "paused"];
+
+// Finished states a job can be resumed from
+const RESUMABLE_STATES = ["failed", "cancelled", "interrupted", "paused"];
+
+// A job of another server instance that has saved no progress for this long is
+// taken to have been interrupted (running jobs save after every page)
+const STALE_JOB_AGE = 5 * 60 * 1000;
+
+// How often the progress of a job running on another instance is read from storage
+const JOB_POLL_INTERVAL = 2000;
+
+/**
+ * Fetch playlists together with all of their items
+ * @param {string} accessToken - The access token
+ * @param {number} maxResults - Maximum number of playlists, and of items per playlist
+ * @param {Object} context - Fetch context ({ report, signal, onWarning, cache })
+ * @returns {Promise<Object>} Playlists and the flattened playlist items
+ */
+const fetchPlaylists = async (
+  accessToken,
+  maxResults,
+  { report, signal, onWarning, cache }
+) => {
+  const countQuota = ({ quotaCost }) => report({ quotaCost });
+  const playlists = await youtubeService.getPlaylists(accessToken, maxResults, {
+    onPage: countQuota,
+    signal,
+    onWarning,
+    cache,
+  });
+  const playlistItems = [];
+
+  for (let i = 0; i < playlists.length; i++) {
+    const playlist = playlists[i];
+    const items = await youtubeService.getPlaylistItems(
+      accessToken,
+      playlist.id,
+      maxResults,
+      { onPage: countQuota, signal, onWarning, cache }
+    );
+    playlistItems.push(
+      ...items.map((item) => ({ ...item, playlistTitle: playlist.title }))
+    );
+
+    // Progress for playlists is counted per playlist rather than per page
+    report({ page: i + 1, totalPages: playlists.length, fetched: playlistItems.length });
+  }
+
+  return { playlists, playlistItems };
+};
+
+/**
+ * Options passed to a paginated youtubeService fetcher
+ * @param {Object} context - Fetch context ({ onPage, checkpoint, signal, onWarning, cache })
+ * @returns {Object} youtubeService options
+ */
+const pagingOptions = ({ onPage, checkpoint, signal, onWarning, cache }) => ({
+  onPage,
+  checkpoint,
+  signal,
+  onWarning,
+  cache,
+});
+
+// Export options mapped to the data they produce, in fetch order.
+// Resumable fetchers page through a single collection and can continue from a
+// checkpoint; the others are re-run from the start when resumed.
+const fetchers = [
+  {
+    option: "likedVideos",
+    label: "liked videos",
+    collections: ["likedVideos"],
+    resumable: true,
+    fetch: async (accessToken, options, context) => ({
+      likedVideos: await youtubeService.getLikedVideos(accessToken, options.maxResults, {
+        ...pagingOptions(context),
+        untilId: options.onlyNew ? context.since?.newestId : undefined,
+      }),
+    }),
+  },
+  {
+    option: "watchHistory",
+    label: "watch history",
+    collections: ["watchHistory"],
+    resumable: (options) => !options.watchHistoryImportId,
+    fetch: async (accessToken, options, context) => ({
+      watchHistory: options.watchHistoryImportId
+        ? await takeoutService.loadImport(options.watchHistoryImportId, context.accountId)
+        : await youtubeService.getWatchHistory(accessToken, options.maxResults, {
+            ...pagingOptions(context),
+            since: options.onlyNew ? context.since?.newestWatchedAt : undefined,
+          }),
+    }),
+  },
+  {
+    option: "subscriptions",
+    label: "subscriptions",
+    collections: ["subscriptions"],
+    resumable: true,
+    fetch: async (accessToken, options, context) => ({
+      subscriptions: await youtubeService.getSubscriptions(
+        accessToken,
+        options.maxResults,
+        pagingOptions(context)
+      ),
+    }),
+  },
+  {
+    option: "playlists",
+    label: "playlists",
+    collections: ["playlists", "playlistItems"],
+    resumable: false,
+    fetch: (accessToken, options, context) =>
+      fetchPlaylists(accessToken, options.maxResults, context),
+  },
+];
+
+// Share of the progress bar used for fetching; the rest is for writing the file
+const FETCH_PERCENT = 90;
+
+/**
+ * Describe the progress of one data type for status messages
+ * @param {Object} typeProgress - Progress entry of the data type
+ * @returns {string} Human readable progress
+ */
+const describeProgress = ({ label, unit, page, totalPages, fetched }) => {
+  if (!totalPages) {
+    return `Fetching ${label}...`;
+  }
+
+  return `Fetching ${label}: ${unit} ${page} of ${totalPages} (${fetched} items)`;
+};
+
+/**
+ * Update a job's state and progress
+ * @param {Object} job - The job to update
+ * @param {Object} changes - Fields to merge into the job
+ */
+const updateJob = (job, changes) => {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  jobStore.saveJob(job);
+  events.emit("update", job);
+};
+
+/**
+ * Update the progress of a job
+ * @param {Object} job - The job to update
+ * @param {Object} changes - Fields to merge into job.progress
+ */
+const updateProgress = (job, changes) => {
+  updateJob(job, { progress: { ...job.progress, ...changes } });
+};
+
+/**
+ * Name under which a step's items are stored, e.g. "likedVideos_0"
+ * @param {string} collection - Data type key
+ * @param {number} accountIndex - Position of the account in job.accounts
+ * @returns {string} jobStore collection name
+ */
+const storedCollection = (collection, accountIndex) => `${collection}_${accountIndex}`;
+
+/**
+ * Fetch one data type of one account, continuing from its checkpoint where possible
+ * The items are stored through jobStore, to be read back when the file is written.
+ * @param {Object} job - The job being run
+ * @param {Object} step - { key, fetcher, accountIndex }
+ * @param {Object} context - { accessToken, accountId, report, signal, since, onWarning, cache }
+ * @returns {Promise<number>} Number of items fetched (of the first collection)
+ */
+const fetchStep = async (
+  job,
+  step,
+  { accessToken, accountId, report, signal, since, onWarning, cache }
+) => {
+  const { fetcher, accountIndex } = step;
+  const { collections } = fetcher;
+  const stored = collections.map((key) => storedCollection(key, accountIndex));
+  const resumable =
+    typeof fetcher.resumable === "function"
+      ? fetcher.resumable(job.options)
+      : fetcher.resumable;
+  const checkpoint = job.checkpoints[step.key];
+
+  // Start over unless there is a usable checkpoint
+  if (checkpoint.state !== "partial" || !resumable) {
+    Object.assign(checkpoint, {
+      state: "pending",
+      pageToken: null,
+      page: 0,
+      fetched: 0,
+      complete: false,
+    });
+    await Promise.all(stored.map((name) => jobStore.clearItems(job.id, name)));
+  }
+
+  // The last page was stored but the run stopped before it was marked done
+  if (checkpoint.state === "partial" && !checkpoint.pageToken) {
+    checkpoint.state = "done";
+    return checkpoint.fetched;
+  }
+
+  const fetched = await fetcher.fetch(accessToken, job.options, {
+    accountId,
+    report,
+    signal,
+    since,
+    onWarning,
+    cache,
+    checkpoint: checkpoint.state === "partial" ? { ...checkpoint } : undefined,
+    // Store each page before recording the checkpoint that points past it
+    onPage: async (page) => {
+      report(page);
+      await jobStore.appendItems(job.id, stored[0], page.items);
+      Object.assign(checkpoint, {
+        state: "partial",
+        pageToken: page.nextPageToken,
+        page: page.page,
+        fetched: page.fetched,
+        complete: page.complete,
+      });
+      jobStore.saveJob(job);
+    },
+  });
+
+  // Resumable fetchers stored their pages as they went
+  if (!resumable) {
+    for (let i = 0; i < collections.length; i++) {
+      await jobStore.appendItems(job.id, stored[i], fetched[collections[i]]);
+    }
+    checkpoint.fetched = fetched[collections[0]].length;
+    checkpoint.complete = checkpoint.fetched < job.options.maxResults;
+  }
+
+  checkpoint.state = "done";
+  return checkpoint.fetched;
+};
+
+/**
+ * Read the items stored for a job's collection, one page at a time
+ * @param {Object} job - The job
+ * @param {string} key - Data type key
+ * @param {number} accountIndex - Position of the account in job.accounts
+ * @returns {Function} Returns an async iterable of item arrays (see rowSource)
+ */
+const storedPages = (job, key, accountIndex) => () =>
+  jobStore.readPages(job.id, storedCollection(key, accountIndex));
+
+/**
+ * Lay out the data types of a job's export, to be read back from storage while the
+ * file is written, so a job never holds all of its rows in memory
+ * New rows are marked per account, rows of several accounts say which account they
+ * belong to, and filters are applied, one page at a time.
+ * @param {Object} job - The job being run
+ * @param {Array} accounts - Accounts from resolveAccounts
+ * @param {Array} parts - { key, accountIndex } of every collection fetched in full
+ * @returns {Promise<Object>} { data: row sources keyed by data type, counts: rows
+ *   per data type, fetched: number of rows before filtering }
+ */
+const prepareExport = async (job, accounts, parts) => {
+  const { options } = job;
+  const multipleAccounts = accounts.length > 1;
+
+  // Where the last exported liked video is, per part
+  const lastExported = new Map();
+  if (job.delta) {
+    for (const part of parts) {
+      const { key, accountIndex } = part;
+      const checkpoint = job.delta[accounts[accountIndex].accountId]?.[key];
+      lastExported.set(
+        part,
+        await deltaService.findLastExported(
+          key,
+          checkpoint,
+          storedPages(job, key, accountIndex)
+        )
+      );
+    }
+  }
+
+  /**
+   * Read one data type's rows as they are exported, before filtering
+   * @param {string} key - Data type key
+   * @returns {AsyncGenerator<Array>} Pages of rows
+   */
+  async function* readRows(key) {
+    for (const part of parts.filter((candidate) => candidate.key === key)) {
+      const { accountId, title } = accounts[part.accountIndex];
+      const mark = job.delta
+        ? deltaService.createMarker(key, job.delta[accountId]?.[key], {
+            onlyNew: options.onlyNew,
+            lastExported: lastExported.get(part),
+          })
+        : (items) => items;
+
+      for await (const page of storedPages(job, key, part.accountIndex)()) {
+        const items = mark(page);
+
+        // Say which account each row belongs to
+        yield multipleAccounts
+          ? items.map((item) => ({ accountId, accountTitle: title, ...item }))
+          : items;
+      }
+    }
+  }
+
+  const data = {};
+  const counts = {};
+  let fetched = 0;
+
+  // Rows are counted before filtering too, to tell "nothing fetched" from
+  // "nothing matches the filters"
+  for (const key of [...new Set(parts.map(({ key }) => key))]) {
+    let stats = rowSource.addPage(undefined, []);
+
+    for await (const page of readRows(key)) {
+      fetched += page.length;
+      stats = rowSource.addPage(stats, filterService.applyFilters(key, page, options.filters));
+    }
+
+    data[key] = rowSource.create(async function* () {
+      for await (const page of readRows(key)) {
+        yield filterService.applyFilters(key, page, options.filters);
+      }
+    }, stats);
+    counts[key] = stats.length;
+  }
+
+  return { data, counts, fetched };
+};
+
+/**
+ * Identify the YouTube account behind each access token
+ * @param {Object} job - The job being run
+ * @param {string[]} accessTokens - Access tokens of the accounts to export
+ * @returns {Promise<Array>} [{ accountId, title, accessToken }], in token order
+ */
+const identifyAccounts = async (job, accessTokens) => {
+  const accounts = [];
+
+  for (const accessToken of accessTokens) {
+    try {
+      const channel = await youtubeService.getChannelSummary(accessToken);
+      accounts.push({ accountId: channel.channelId, title: channel.title, accessToken });
+    } catch (error) {
+      // An account without a channel can still be exported on its own, under
+      // a fallback ID, but rows of several accounts must say which channel
+      // they belong to
+      if (accessTokens.length > 1 || error.code === "QUOTA_EXCEEDED") {
+        throw error;
+      }
+
+      console.error(`Export job ${job.id}: could not identify the channel:`, error);
+      accounts.push({
+        accountId: await youtubeService.getFallbackAccountId(accessToken),
+        title: null,
+        accessToken,
+      });
+    }
+
+    updateProgress(job, { quotaUsed: job.progress.quotaUsed + 1 });
+  }
+
+  return accounts;
+};
+
+/**
+ * Match the accounts of a job with the access tokens of this run
+ * The first run defines the job's accounts; a resumed run must cover the same accounts.
+ * @param {Object} job - The job being run
+ * @param {string[]} accessTokens - Access tokens of the accounts to export
+ * @returns {Promise<Array>} [{ accountId, title, accessToken }], in job.accounts order
+ */
+const resolveAccounts = async (job, accessTokens) => {
+  const identified = await identifyAccounts(job, accessTokens);
+
+  if (!job.accounts) {
+    job.accounts = identified.map(({ accountId, title }) => ({ accountId, title }));
+  }
+
+  return job.accounts.map((account) => {
+    const match = identified.find(({ accountId }) => accountId === account.accountId);
+
+    if (!match) {
+      throw new AppError(
+        "TOKEN_MISSING",
+        `Connect ${account.title || "the account"} again to resume this export`,
+        { details: { accountId: account.accountId } }
+      );
+    }
+
+    return { ...account, accessToken: match.accessToken };
+  });
+};
+
+/**
+ * Load the checkpoints of each account's last export
+ * Stored on the job, so a resumed job compares against the same exports.
+ * @param {Object} job - The job being run
+ * @param {Array} accounts - Accounts from resolveAccounts
+ * @returns {Promise<void>}
+ */
+const loadDeltaCheckpoints = async (job, accounts) => {
+  const delta = {};
+
+  try {
+    for (const { accountId } of accounts) {
+      if (!accountId) {
+        throw new AppError("CHANNEL_NOT_FOUND", "Failed to identify YouTube account");
+      }
+      delta[accountId] = await deltaService.getCheckpoints(accountId);
+    }
+    job.delta = delta;
+  } catch (error) {
+    // Without a checkpoint there is nothing to compare against
+    if (job.options.onlyNew) {
+      throw error;
+    }
+
+    if (accounts.every(({ accountId }) => accountId)) {
+      console.error(`Export job ${job.id}: new rows will not be marked:`, error);
+      job.warnings.push(`New rows could not be marked: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Move each account's checkpoints past what this export fetched successfully
+ * A data type cut off by maxResults before it reached the last export keeps its
+ * old checkpoint, so the next export fetches the new items that were left out.
+ * @param {Object} job - The job being run
+ * @param {Array} accounts - Accounts from resolveAccounts
+ * @param {Object} dataTypes - Progress entries of the job's steps, keyed by step
+ * @returns {Promise<void>}
+ */
+const recordCheckpoints = async (job, accounts, dataTypes) => {
+  for (let accountIndex = 0; accountIndex < accounts.length; accountIndex++) {
+    const { accountId } = accounts[accountIndex];
+    const exported = {};
+
+    for (const key of deltaService.DELTA_TYPES) {
+      const step = `${key}_${accountIndex}`;
+      if (dataTypes[step]?.state !== "done") {
+        continue;
+      }
+
+      const previous = job.delta[accountId]?.[key];
+      const readPages = storedPages(job, key, accountIndex);
+
+      if (
+        previous &&
+        !job.checkpoints[step].complete &&
+        !(await deltaService.reachesCheckpoint(key, previous, readPages))
+      ) {
+        job.warnings.push(
+          `Not every new item of ${dataTypes[step].label} fit within the result limit; ` +
+            "the next export will fetch them again"
+        );
+        continue;
+      }
+
+      exported[key] = (async function* () {
+        for await (const page of readPages()) {
+          yield* page;
+        }
+      })();
+    }
+
+    try {
+      await deltaService.recordExport(accountId, exported);
+    } catch (error) {
+      console.error(`Export job ${job.id}: error recording checkpoints:`, error);
+      job.warnings.push("The next export may not know what is new since this one");
+    }
+  }
+};
+
+/**
+ * Run (or resume) an export job to completion
+ * @param {Object} job - The job to run
+ * @param {string[]} accessTokens - Access tokens of the accounts to export
+ * @returns {Promise<void>}
+ */
+const runJob = async (job, accessTokens) => {
+  const { options } = job;
+  const selected = fetchers.filter(({ option }) => options[option]);
+  const controller = new AbortController();
+
+  runningJobs.set(job.id, controller);
+
+  updateJob(job, { state: "running", error: null, errorCode: null });
+  updateProgress(job, { phase: "fetching", message: "Identifying accounts..." });
+
+  try {
+    const accounts = await resolveAccounts(job, accessTokens);
+    const multipleAccounts = accounts.length > 1;
+
+    if (
+      !job.delta &&
+      selected.some(({ option }) => deltaService.DELTA_TYPES.includes(option))
+    ) {
+      await loadDeltaCheckpoints(job, accounts);
+    }
+
+    // One step per account and data type, each with its own checkpoint and
+    // sub-progress in the UI
+    const steps = [];
+    const dataTypes = {};
+    accounts.forEach((account, accountIndex) => {
+      selected.forEach((fetcher) => {
+        const key = `${fetcher.option}_${accountIndex}`;
+        const checkpoint = job.checkpoints[key] || { state: "pending" };
+        job.checkpoints[key] = checkpoint;
+
+        steps.push({ key, fetcher, accountIndex });
+        dataTypes[key] = {
+          label: multipleAccounts ? `${fetcher.label} (${account.title})` : fetcher.label,
+          unit: fetcher.option === "playlists" ? "playlist" : "page",
+          state: "pending",
+          page: checkpoint.page || 0,
+          totalPages: 0,
+          fetched: checkpoint.fetched || 0,
+        };
+      });
+    });
+
+    updateProgress(job, { dataTypes });
+
+    const stepErrors = [];
+    const share = FETCH_PERCENT / Math.max(steps.length, 1);
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const { fetcher, accountIndex } = step;
+      const { option } = fetcher;
+      const { accountId, accessToken } = accounts[accountIndex];
+      const typeProgress = dataTypes[step.key];
+      const checkpoint = job.checkpoints[step.key];
+
+      // Finished in an earlier run: reuse what was stored
+      if (checkpoint.state === "done") {
+        typeProgress.state = "done";
+        typeProgress.fetched = checkpoint.fetched || 0;
+        continue;
+      }
+
+      typeProgress.state = "running";
+      updateProgress(job, {
+        percent: Math.round(share * i),
+        message: describeProgress(typeProgress),
+        dataType: option,
+      });
+
+      const report = ({ quotaCost = 0, page, totalPages, fetched }) => {
+        if (page !== undefined) {
+          Object.assign(typeProgress, { page, totalPages, fetched });
+        }
+
+        const fraction = typeProgress.totalPages
+          ? typeProgress.page / typeProgress.totalPages
+          : 0;
+
+        updateProgress(job, {
+          percent: Math.round(share * (i + fraction)),
+          message: describeProgress(typeProgress),
+          quotaUsed: job.progress.quotaUsed + quotaCost,
+        });
+      };
+
+      try {
+        typeProgress.fetched = await fetchStep(job, step, {
+          accessToken,
+          accountId,
+          report,
+          signal: controller.signal,
+          since: job.delta?.[accountId]?.[option],
+          // Unchanged pages of earlier exports are reused unless a refresh was asked for
+          cache: { accountId, refresh: options.forceRefresh },
+          // Partial results are kept; the warning says what is missing
+          onWarning: ({ message }) => {
+            job.warnings.push(
+              multipleAccounts ? `${message} (${accounts[accountIndex].title})` : message
+            );
+          },
+        });
+
+        typeProgress.state = "done";
+      } catch (error) {
+        // Cancelling or running out of quota stops the whole job
+        if (error.name === "AbortError" || error.code === "QUOTA_EXCEEDED") throw error;
+
+        console.error(`Export job ${job.id}: error fetching ${typeProgress.label}:`, error);
+        typeProgress.state = "failed";
+        stepErrors.push(error);
+        job.warnings.push(`Could not fetch ${typeProgress.label}: ${error.message}`);
+      }
+
+      updateProgress(job, {
+        percent: Math.round(share * (i + 1)),
+        message: `Retrieved ${typeProgress.fetched} ${typeProgress.label}`,
+      });
+    }
+
+    // Everything fetched in full goes into the file
+    const parts = steps
+      .filter(({ key }) => dataTypes[key].state === "done")
+      .flatMap(({ fetcher, accountIndex }) =>
+        fetcher.collections.map((key) => ({ key, accountIndex }))
+      );
+    const { data: exportData, counts, fetched } = await prepareExport(job, accounts, parts);
+
+    if (fetched === 0) {
+      // When nothing could be fetched, the reason is more useful than "no data"
+      if (stepErrors.length === steps.length && stepErrors.length > 0) {
+        throw stepErrors[0];
+      }
+
+      if (!options.onlyNew) {
+        throw new AppError(
+          "NO_DATA",
+          "No data available to export. YouTube API restrictions may prevent access to this data."
+        );
+      }
+    } else if (!Object.values(counts).some((count) => count > 0)) {
+      // Checkpoints still use everything fetched; filters only shape the file
+      throw new AppError("NO_DATA", "No data matches the selected filters.");
+    }
+
+    // An export of only new data that finds nothing new completes without a file
+    let filename = null;
+
+    if (fetched > 0) {
+      updateProgress(job, {
+        phase: "generating",
+        percent: FETCH_PERCENT,
+        message: `Generating ${options.format.toUpperCase()} file...`,
+        dataType: null,
+      });
+
+      filename = await exporters.generateExport(exportData, options.format, {
+        columns: options.columns,
+      });
+      // The file belongs to the account that started the export
+      await exportRegistry.register({
+        filename,
+        ownerId: job.ownerId,
+        format: options.format,
+        counts,
+        filters: options.filters,
+        retention: options.retention,
+      });
+
+      if (job.delta) {
+        await recordCheckpoints(job, accounts, dataTypes);
+      }
+    }
+
+    let message = filename ? "Export completed!" : "Nothing new since the last export.";
+    if (job.warnings.length > 0) {
+      message = filename
+        ? "Export completed! (with some warnings)"
+        : "Nothing new since the last export (with some warnings).";
+    }
+
+    updateJob(job, {
+      state: "completed",
+      progress: { ...job.progress, phase: "done", percent: 100, message },
+      result: { filename, counts },
+    });
+
+    // The export file now holds the data; fetched pages are no longer needed
+    await Promise.all(
+      steps.flatMap(({ fetcher, accountIndex }) =>
+        fetcher.collections.map((key) =>
+          jobStore.clearItems(job.id, storedCollection(key, accountIndex))
+        )
+      )
+    );
+  } catch (error) {
+    const cancelled = error.name === "AbortError";
+    // Out of quota: keep the checkpoints so the job can be resumed once it resets
+    const paused = error.code === "QUOTA_EXCEEDED";
+
+    if (cancelled) {
+      updateJob(job, {
+        state: "cancelled",
+        error: null,
+        progress: { ...job.progress, phase: "cancelled", message: "Export cancelled" },
+      });
+    } else if (paused) {
+      console.log(`Export job ${job.id} paused: ${error.message}`);
+      updateJob(job, {
+        state: "paused",
+        error: null,
+        errorCode: error.code,
+        progress: {
+          ...job.progress,
+          phase: "paused",
+          message: `Export paused: ${error.message}`,
+        },
+      });
+    } else {
+      console.error(`Export job ${job.id} failed:`, error);
+      updateJob(job, {
+        state: "failed",
+        error: error.message,
+        errorCode: AppError.from(error, "EXPORT_FAILED").code,
+        progress: {
+          ...job.progress,
+          phase: "failed",
+          message: `Export failed: ${error.message}`,
+        },
+      });
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    jobs.delete(job.id);
+  }
+};
+
+/**
+ * Mark a stored job as interrupted when nothing is running it any more
+ * With storage only this instance uses, that is any job it isn't running; with
+ * shared storage, a job that has stopped saving progress.
+ * @param {Object} job - Job loaded from jobStore
+ * @returns {Object} The job
+ */
+const interruptIfAbandoned = (job) => {
+  if (FINISHED_STATES.includes(job.state) || jobs.has(job.id)) {
+    return job;
+  }
+
+  if (storage.getStorage("state").shared && Date.now() - job.updatedAt <= STALE_JOB_AGE) {
+    return job;
+  }
+
+  updateJob(job, {
+    state: "interrupted",
+    progress: {
+      ...job.progress,
+      phase: "interrupted",
+      message: "Export interrupted by a server restart",
+    },
+  });
+  return job;
+};
+
+/**
+ * Load a job this process isn't running from jobStore
+ * @param {string} jobId - The job ID
+ * @returns {Promise<Object|undefined>} The job
+ */
+const loadStoredJob = async (jobId) => {
+  const job = await jobStore.loadJob(jobId);
+  return job ? interruptIfAbandoned(job) : undefined;
+};
+
+module.exports = {
+  /**
+   * Whether a job is no longer running
+   * @param {Object} job - The job
+   * @returns {boolean} True if the job completed, failed, was cancelled, interrupted or paused
+   */
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.state);
+  },
+
+  /**
+   * Whether a job can be resumed from its last checkpoint
+   * @param {Object} job - The job
+   * @returns {boolean} True if the job can be resumed
+   */
+  isResumable(job) {
+    return RESUMABLE_STATES.includes(job.state);
+  },
+
+  /**
+   * Mark the jobs left running by an earlier server process as interrupted
+   * @returns {Promise<void>}
+   */
+  async restoreJobs() {
+    const interrupted = (await jobStore.loadJobs()).filter(
+      (job) =>
+        !FINISHED_STATES.includes(job.state) &&
+        interruptIfAbandoned(job).state === "interrupted"
+    );
+
+    if (interrupted.length > 0) {
+      console.log(`Marked ${interrupted.length} export job(s) as interrupted`);
+    }
+  },
+
+  /**
+   * Start an export job in the background
+   * With several accounts, every row says which account it belongs to.
+   * @param {string[]} accessTokens - Access tokens of the accounts to export
+   * @param {Object} options - Export options
+   * @param {boolean} [options.likedVideos] - Whether to export liked videos
+   * @param {boolean} [options.watchHistory] - Whether to export watch history
+   * @param {string} [options.watchHistoryImportId] - Takeout import to use as watch history
+   * @param {boolean} [options.subscriptions] - Whether to export subscriptions
+   * @param {boolean} [options.playlists] - Whether to export playlists and their items
+   * @param {number} options.maxResults - Maximum number of results per category
+   * @param {string} options.format - Export format
+   * @param {boolean} [options.onlyNew] - Only export liked videos and history added since the last export
+   * @param {boolean} [options.forceRefresh] - Ignore cached YouTube responses
+   * @param {Object|null} [options.filters] - Filters from filterService.parseFilters
+   * @param {Object|null} [options.columns] - Columns to export, from dataTypes.parseColumns
+   * @param {number} [options.retention] - How long to keep the file, in milliseconds
+   * @param {string} ownerId - Account starting the export (see youtubeService.getAccountId);
+   *   only it can follow, cancel or resume the job, and the file belongs to it
+   * @returns {Object} The newly created job
+   */
+  createJob(accessTokens, options, ownerId) {
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      state: "queued",
+      options,
+      progress: {
+        phase: "queued",
+        percent: 0,
+        message: "Starting export...",
+        dataType: null,
+        quotaUsed: 0,
+        dataTypes: {},
+      },
+      accounts: null,
+      checkpoints: {},
+      delta: null,
+      warnings: [],
+      result: null,
+      error: null,
+      errorCode: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+
+    jobs.set(job.id, job);
+    jobStore.saveJob(job);
+
+    // Run without blocking the request; failures are recorded on the job
+    runJob(job, accessTokens);
+
+    return job;
+  },
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|undefined>} The job
+   */
+  async getJob(jobId) {
+    return jobs.get(jobId) || loadStoredJob(jobId);
+  },
+
+  /**
+   * Get a job started by an account
+   * @param {string} jobId - The job ID
+   * @param {string} accountId - ID of the requesting account (see youtubeService.getAccountId)
+   * @returns {Promise<Object>} The job
+   * @throws {AppError} NOT_FOUND for an unknown job and FORBIDDEN for another
+   *   account's job
+   */
+  async getOwnedJob(jobId, accountId) {
+    const job = await this.getJob(jobId);
+
+    if (!job) {
+      throw new AppError("NOT_FOUND", "Export job not found");
+    }
+
+    if (job.ownerId !== accountId) {
+      throw new AppError("FORBIDDEN", "This export job belongs to another account");
+    }
+
+    return job;
+  },
+
+  /**
+   * Cancel a job
+   * A running job stops after the page it is fetching; its checkpoints are kept
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|undefined>} The job
+   * @throws {AppError} CONFLICT when another server instance is running the job
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (!job || job.state === "completed" || job.state === "cancelled") {
+      return job;
+    }
+
+    const controller = runningJobs.get(jobId);
+    if (controller) {
+      controller.abort();
+    } else if (!FINISHED_STATES.includes(job.state)) {
+      throw new AppError("CONFLICT", "Export job is running on another server instance");
+    } else {
+      updateJob(job, {
+        state: "cancelled",
+        progress: { ...job.progress, phase: "cancelled", message: "Export cancelled" },
+      });
+    }
+
+    return job;
+  },
+
+  /**
+   * Resume a failed, cancelled, interrupted or paused job from its last checkpoint
+   * @param {string} jobId - The job ID
+   * @param {string[]} accessTokens - Access tokens covering the job's accounts
+   * @returns {Promise<Object|undefined>} The job
+   */
+  async resumeJob(jobId, accessTokens) {
+    const job = await this.getJob(jobId);
+
+    if (!job || !RESUMABLE_STATES.includes(job.state) || runningJobs.has(jobId)) {
+      return job;
+    }
+
+    jobs.set(job.id, job);
+    updateJob(job, { state: "queued", warnings: [] });
+    runJob(job, accessTokens);
+
+    return job;
+  },
+
+  /**
+   * Listen for changes to a job
+   * Jobs running on another server instance are followed through storage.
+   * @param {string} jobId - The job to follow
+   * @param {Function} listener - Called with the job after every change
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(jobId, listener) {
+    if (!jobs.has(jobId)) {
+      let updatedAt = null;
+      const timer = setInterval(() => {
+        loadStoredJob(jobId)
+          .then((job) => {
+            if (job && job.updatedAt !== updatedAt) {
+              updatedAt = job.updatedAt;
+              listener(job);
+            }
+          })
+          .catch((error) => {
+            console.error(`Error reading export job ${jobId}:`, error);
+          });
+      }, JOB_POLL_INTERVAL);
+
+      return () => clearInterval(timer);
+    }
+
+    const onUpdate = (job) => {
+      if (job.id === jobId) {
+        listener(job);
+      }
+    };
+
+    events.on("update", onUpdate);
+    return () => events.off("update", onUpdate);
+  },
+
+  /**
+   * Remove finished jobs that have not changed for longer than the job lifetime
+   * @returns {Promise<void>}
+   */
+  async cleanupJobs() {
+    const now = Date.now();
+
+    try {
+      for (const job of await jobStore.loadJobs()) {
+        if (
+          FINISHED_STATES.includes(job.state) &&
+          !jobs.has(job.id) &&
+          now - job.updatedAt > config.storage.maxJobAge
+        ) {
+          await jobStore.removeJob(job.id);
+        }
+      }
+    } catch (error) {
+      console.error("Error removing old export jobs:", error);
+    }
+  },
+};
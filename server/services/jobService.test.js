@@ -0,0 +1,152 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+jest.mock("./youtubeService");
+
+const config = require("../config/config");
+const youtubeService = require("./youtubeService");
+const deltaService = require("./deltaService");
+const jobService = require("./jobService");
+const jobStore = require("./jobStore");
+
+const ACCOUNT_ID = "UCjobChannel";
+const PAGE_SIZE = 2;
+
+// Liked videos on "YouTube", newest first
+let likedVideos;
+
+/**
+ * Page through likedVideos like youtubeService.getLikedVideos does
+ */
+const getLikedVideos = async (accessToken, maxResults, { onPage, untilId }) => {
+  const videos = [];
+
+  for (let start = 0, page = 1; ; start += PAGE_SIZE, page++) {
+    const pageItems = likedVideos.slice(start, start + PAGE_SIZE);
+    const seenIndex = pageItems.findIndex((video) => video.id === untilId);
+    const items = (seenIndex === -1 ? pageItems : pageItems.slice(0, seenIndex)).slice(
+      0,
+      maxResults - videos.length
+    );
+    videos.push(...items);
+
+    const complete = seenIndex !== -1 || start + PAGE_SIZE >= likedVideos.length;
+    const done = complete || videos.length >= maxResults;
+    await onPage({
+      page,
+      totalPages: page,
+      fetched: videos.length,
+      quotaCost: 1,
+      items,
+      nextPageToken: done ? null : `page${page + 1}`,
+      complete,
+    });
+
+    if (done) return videos;
+  }
+};
+
+/**
+ * Start an export of liked videos and wait until it has finished
+ * @param {Object} options - Export options besides the data type and format
+ * @returns {Promise<Object>} The finished job, as stored
+ */
+const runExport = (options) =>
+  new Promise((resolve) => {
+    const job = jobService.createJob(
+      ["token"],
+      { likedVideos: true, format: "json", maxResults: 100, ...options },
+      ACCOUNT_ID
+    );
+    const stop = jobService.subscribe(job.id, (update) => {
+      if (["completed", "failed"].includes(update.state)) {
+        stop();
+        // Read back once the final state is written
+        resolve(jobStore.loadJob(update.id));
+      }
+    });
+  });
+
+const newestExported = async () =>
+  (await deltaService.getCheckpoints(ACCOUNT_ID)).likedVideos?.newestId;
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "job-test-"));
+  config.storage.tempDir = path.join(dir, "temp");
+  config.storage.dataDir = path.join(dir, "data");
+
+  youtubeService.getChannelSummary.mockResolvedValue({ channelId: ACCOUNT_ID, title: "Test" });
+  youtubeService.getLikedVideos.mockImplementation(getLikedVideos);
+
+  likedVideos = ["v4", "v3", "v2", "v1"].map((id) => ({ id, title: id }));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("incremental exports", () => {
+  it("records the newest liked video of a full export", async () => {
+    const job = await runExport({});
+
+    expect(job.state).toBe("completed");
+    expect(job.result.counts).toEqual({ likedVideos: 4 });
+    expect(await newestExported()).toBe("v4");
+  });
+
+  it("completes without a file when there is nothing new", async () => {
+    const job = await runExport({ onlyNew: true });
+
+    expect(job.state).toBe("completed");
+    expect(job.result.filename).toBeNull();
+    expect(job.progress.message).toBe("Nothing new since the last export.");
+    expect(await newestExported()).toBe("v4");
+  });
+
+  it("keeps the checkpoint when the result limit cut off the new videos", async () => {
+    likedVideos.unshift(...["n3", "n2", "n1"].map((id) => ({ id, title: id })));
+
+    const job = await runExport({ onlyNew: true, maxResults: 2 });
+
+    expect(job.state).toBe("completed");
+    expect(job.result.counts).toEqual({ likedVideos: 2 });
+    expect(job.warnings).toHaveLength(1);
+    expect(await newestExported()).toBe("v4");
+  });
+
+  it("moves the checkpoint once every new video was exported", async () => {
+    const job = await runExport({ onlyNew: true });
+
+    expect(job.state).toBe("completed");
+    expect(job.result.counts).toEqual({ likedVideos: 3 });
+    expect(job.warnings).toEqual([]);
+    expect(await newestExported()).toBe("n3");
+  });
+
+  it("moves the checkpoint when a cut-off export still reached the last one", async () => {
+    likedVideos.unshift({ id: "n4", title: "n4" });
+
+    const job = await runExport({ maxResults: 2 });
+
+    expect(job.result.counts).toEqual({ likedVideos: 2 });
+    expect(job.warnings).toEqual([]);
+    expect(await newestExported()).toBe("n4");
+  });
+});
+
+describe("getOwnedJob", () => {
+  it("returns the job only to the account that started it", async () => {
+    const { id } = await runExport({});
+
+    expect((await jobService.getOwnedJob(id, ACCOUNT_ID)).ownerId).toBe(ACCOUNT_ID);
+    await expect(jobService.getOwnedJob(id, "UCsomeoneElse")).rejects.toMatchObject({
+      code: "FORBIDDEN",
+    });
+    await expect(jobService.getOwnedJob("missing", ACCOUNT_ID)).rejects.toMatchObject({
+      code: "NOT_FOUND",
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Export Job Store
+ * Persists export jobs and the items they have fetched so far, in the "state"
+ * storage area so every server instance sharing it sees the same jobs
+ *
+ * Layout: jobs/<jobId>/job.json holds the job state and checkpoints,
+ * jobs/<jobId>/<collection>/<n>.json holds the nth page of fetched items.
+ */
+const storage = require("./storage");
+
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// jobs/<jobId>/job.json
+const JOB_KEY_PATTERN = /^jobs\/([0-9a-f-]{36})\/job\.json$/;
+
+// Pending writes per job, so job.json is never written concurrently
+const writeQueues = new Map();
+
+/**
+ * Storage key of the directory holding everything stored for a job
+ * @param {string} jobId - The job ID
+ * @returns {string} Storage key
+ */
+const jobDir = (jobId) => {
+  if (!JOB_ID_PATTERN.test(jobId)) {
+    throw new Error("Invalid job ID");
+  }
+
+  return `jobs/${jobId}`;
+};
+
+/**
+ * Storage key of the directory holding the pages of one collection
+ * @param {string} jobId - The job ID
+ * @param {string} collection - Data type key, e.g. "likedVideos_0"
+ * @returns {string} Storage key
+ */
+const itemsDir = (jobId, collection) => {
+  if (!/^\w+$/.test(collection)) {
+    throw new Error("Invalid collection name");
+  }
+
+  return `${jobDir(jobId)}/${collection}`;
+};
+
+/**
+ * Storage keys of the stored pages of a collection, in the order they were stored
+ * @param {string} jobId - The job ID
+ * @param {string} collection - Data type key
+ * @returns {Promise<Object[]>} [{ key, index }]
+ */
+const listPages = async (jobId, collection) => {
+  const dir = itemsDir(jobId, collection);
+  const pages = [];
+
+  for (const { key } of await storage.getStorage("state").list(dir)) {
+    const match = key.slice(dir.length).match(/^\/(\d+)\.json$/);
+    if (match) {
+      pages.push({ key, index: Number(match[1]) });
+    }
+  }
+
+  return pages.sort((a, b) => a.index - b.index);
+};
+
+module.exports = {
+  /**
+   * Save a job's state
+   * @param {Object} job - The job (must be JSON serializable)
+   * @returns {Promise<void>}
+   */
+  saveJob(job) {
+    const key = `${jobDir(job.id)}/job.json`;
+    const content = JSON.stringify(job, null, 2);
+
+    const previous = writeQueues.get(job.id) || Promise.resolve();
+    const next = previous
+      .then(() => storage.getStorage("state").put(key, content))
+      .catch((error) => {
+        console.error(`Error saving export job ${job.id}:`, error);
+      });
+
+    writeQueues.set(job.id, next);
+    next.then(() => {
+      if (writeQueues.get(job.id) === next) {
+        writeQueues.delete(job.id);
+      }
+    });
+
+    return next;
+  },
+
+  /**
+   * Load a stored job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<Object|null>} The job, or null if there is none
+   */
+  async loadJob(jobId) {
+    if (!JOB_ID_PATTERN.test(jobId)) {
+      return null;
+    }
+
+    // Writes still pending in this process come first
+    await (writeQueues.get(jobId) || Promise.resolve());
+
+    try {
+      return JSON.parse(await storage.getStorage("state").get(`${jobDir(jobId)}/job.json`));
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Load every stored job
+   * @returns {Promise<Array>} Stored jobs
+   */
+  async loadJobs() {
+    const jobs = [];
+
+    for (const { key } of await storage.getStorage("state").list("jobs")) {
+      const match = key.match(JOB_KEY_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      try {
+        jobs.push(await this.loadJob(match[1]));
+      } catch (error) {
+        console.error(`Skipping unreadable export job ${match[1]}:`, error.message);
+      }
+    }
+
+    return jobs.filter(Boolean);
+  },
+
+  /**
+   * Append a page of fetched items to a job's collection
+   * @param {string} jobId - The job ID
+   * @param {string} collection - Data type key
+   * @param {Array} items - Items to append
+   * @returns {Promise<void>}
+   */
+  async appendItems(jobId, collection, items) {
+    if (items.length === 0) return;
+
+    const pages = await listPages(jobId, collection);
+    const index = pages.length > 0 ? pages[pages.length - 1].index + 1 : 0;
+
+    await storage
+      .getStorage("state")
+      .put(`${itemsDir(jobId, collection)}/${index}.json`, JSON.stringify(items));
+  },
+
+  /**
+   * Read the pages stored for a job's collection, one at a time
+   * @param {string} jobId - The job ID
+   * @param {string} collection - Data type key
+   * @returns {AsyncGenerator<Array>} Pages of items, in the order they were stored
+   */
+  async *readPages(jobId, collection) {
+    const state = storage.getStorage("state");
+
+    for (const { key } of await listPages(jobId, collection)) {
+      yield JSON.parse(await state.get(key));
+    }
+  },
+
+  /**
+   * Discard the items stored for a job's collection
+   * @param {string} jobId - The job ID
+   * @param {string} collection - Data type key
+   * @returns {Promise<void>}
+   */
+  async clearItems(jobId, collection) {
+    await storage.getStorage("state").removeDir(itemsDir(jobId, collection));
+  },
+
+  /**
+   * Delete everything stored for a job
+   * @param {string} jobId - The job ID
+   * @returns {Promise<void>}
+   */
+  async removeJob(jobId) {
+    await (writeQueues.get(jobId) || Promise.resolve());
+    await storage.getStorage("state").removeDir(jobDir(jobId));
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * User Preferences Service
+ * Stores export preferences per YouTube account, such as the chosen columns
+ *
+ * Preferences are stored as preferences/<channelId>.json in the "state" storage area
+ */
+const storage = require("./storage");
+
+const ACCOUNT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Storage key of the preferences of an account
+ * @param {string} accountId - YouTube channel ID
+ * @returns {string} Storage key
+ */
+const preferencesKey = (accountId) => {
+  if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+    throw new Error("Invalid account ID");
+  }
+
+  return `preferences/${accountId}.json`;
+};
+
+module.exports = {
+  /**
+   * Get an account's preferences
+   * @param {string} accountId - YouTube channel ID
+   * @returns {Promise<Object>} Stored preferences (empty if none were saved)
+   */
+  async getPreferences(accountId) {
+    try {
+      const content = await storage.getStorage("state").get(preferencesKey(accountId));
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return {};
+      }
+      console.error(`Error reading preferences of ${accountId}:`, error);
+      throw new Error("Failed to read preferences");
+    }
+  },
+
+  /**
+   * Update an account's preferences
+   * @param {string} accountId - YouTube channel ID
+   * @param {Object} changes - Preferences to set; other stored preferences are kept
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async savePreferences(accountId, changes) {
+    const preferences = { ...(await this.getPreferences(accountId)), ...changes };
+
+    try {
+      await storage
+        .getStorage("state")
+        .put(preferencesKey(accountId), JSON.stringify(preferences, null, 2));
+    } catch (error) {
+      console.error(`Error saving preferences of ${accountId}:`, error);
+      throw new Error("Failed to save preferences");
+    }
+
+    return preferences;
+  },
+};
@@ -0,0 +1,172 @@
+/**
+ * YouTube API Quota Service
+ * Counts the quota units spent on YouTube Data API calls and enforces a daily budget
+ *
+ * Usage is stored as quota.json in the "state" storage area, and read again before
+ * every call is counted, so server instances sharing storage spend one budget.
+ * Calls are counted one at a time within an instance, but the read and write of
+ * quota.json are not locked across instances: calls counted at the same moment
+ * by two instances can overwrite each other, so the shared budget is approximate.
+ * YouTube resets the quota at midnight Pacific Time, so the count starts over on
+ * each Pacific calendar day.
+ */
+const storage = require("./storage");
+const config = require("../config/config");
+const { AppError } = require("../utils/errors");
+
+// Documented unit cost of each API method used by the app
+const QUOTA_COSTS = {
+  "activities.list": 1,
+  "channels.list": 1,
+  "playlistItems.list": 1,
+  "playlists.list": 1,
+  "subscriptions.list": 1,
+  "videos.list": 1,
+};
+
+const PAGE_SIZE = 50;
+
+// The number of playlists isn't known before fetching them, so estimates
+// assume this many
+const ESTIMATED_PLAYLISTS = 10;
+
+const QUOTA_KEY = "quota.json";
+
+// Last usage read or counted: { day, used, byMethod }; used while storage can't be read
+let usage = null;
+
+// Pending update, so this process counts one call at a time
+let updateQueue = Promise.resolve();
+
+/**
+ * Calendar day the YouTube quota is counted for
+ * @param {Date} [date] - Point in time
+ * @returns {string} Day in Pacific Time, as YYYY-MM-DD
+ */
+const quotaDay = (date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: "America/Los_Angeles" }).format(date);
+
+/**
+ * Load today's usage from storage, starting over when the day has changed
+ * @returns {Promise<Object>} { day, used, byMethod }
+ */
+const load = async () => {
+  try {
+    usage = JSON.parse(await storage.getStorage("state").get(QUOTA_KEY));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      usage = null;
+    } else {
+      console.error("Error reading quota usage:", error);
+    }
+  }
+
+  if (!usage || usage.day !== quotaDay()) {
+    usage = { day: quotaDay(), used: 0, byMethod: {} };
+  }
+
+  return usage;
+};
+
+/**
+ * Write the usage to storage
+ * @returns {Promise<void>}
+ */
+const persist = async () => {
+  try {
+    await storage.getStorage("state").put(QUOTA_KEY, JSON.stringify(usage, null, 2));
+  } catch (error) {
+    // The count in memory stays correct; only a restart would lose it
+    console.error("Error saving quota usage:", error);
+  }
+};
+
+module.exports = {
+  /**
+   * Unit cost of each YouTube API method
+   * @type {Object}
+   */
+  QUOTA_COSTS,
+
+  /**
+   * Count the cost of an API call before it is made
+   * @param {string} method - API method, e.g. "videos.list"
+   * @returns {Promise<void>}
+   * @throws {AppError} QUOTA_EXCEEDED when the call would exceed the daily budget
+   */
+  consume(method) {
+    const cost = QUOTA_COSTS[method] ?? 1;
+
+    const update = updateQueue.then(async () => {
+      const today = await load();
+
+      if (today.used + cost > config.youtube.dailyQuotaBudget) {
+        throw new AppError(
+          "QUOTA_EXCEEDED",
+          "The daily YouTube API quota budget has been reached. It resets at midnight Pacific Time.",
+          { details: { day: today.day, used: today.used, budget: config.youtube.dailyQuotaBudget } }
+        );
+      }
+
+      today.used += cost;
+      today.byMethod[method] = (today.byMethod[method] || 0) + cost;
+      await persist();
+    });
+
+    updateQueue = update.catch(() => {});
+    return update;
+  },
+
+  /**
+   * Get today's quota usage
+   * @returns {Promise<Object>} { day, used, budget, remaining, byMethod }
+   */
+  async getUsage() {
+    await updateQueue;
+    const today = await load();
+    const budget = config.youtube.dailyQuotaBudget;
+
+    return {
+      day: today.day,
+      used: today.used,
+      budget,
+      remaining: Math.max(budget - today.used, 0),
+      byMethod: { ...today.byMethod },
+    };
+  },
+
+  /**
+   * Estimate the most quota units an export can use
+   * Exports of only new items usually stop much earlier.
+   * @param {Object} options - Export options (data types, maxResults, watchHistoryImportId)
+   * @param {number} [accountCount=1] - Number of accounts exported
+   * @returns {Object} { units, byDataType } where byDataType is per account
+   */
+  estimateExport(options, accountCount = 1) {
+    const pages = Math.max(Math.ceil(options.maxResults / PAGE_SIZE), 1);
+    const byDataType = {};
+
+    if (options.likedVideos) {
+      byDataType.likedVideos = pages * QUOTA_COSTS["videos.list"];
+    }
+    if (options.watchHistory && !options.watchHistoryImportId) {
+      byDataType.watchHistory = pages * QUOTA_COSTS["activities.list"];
+    }
+    if (options.subscriptions) {
+      byDataType.subscriptions = pages * QUOTA_COSTS["subscriptions.list"];
+    }
+    if (options.playlists) {
+      const playlists = Math.min(options.maxResults, ESTIMATED_PLAYLISTS);
+      byDataType.playlists =
+        pages * QUOTA_COSTS["playlists.list"] +
+        playlists * pages * QUOTA_COSTS["playlistItems.list"];
+    }
+
+    // Each account is identified once per export
+    const perAccount =
+      QUOTA_COSTS["channels.list"] +
+      Object.values(byDataType).reduce((total, units) => total + units, 0);
+
+    return { units: perAccount * accountCount, byDataType };
+  },
+};
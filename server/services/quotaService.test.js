@@ -0,0 +1,106 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config/config");
+const quotaService = require("./quotaService");
+
+const QUOTA_FILE = "quota.json";
+
+let dataDir;
+
+beforeAll(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "quota-test-"));
+  config.storage.dataDir = dataDir;
+  config.youtube.dailyQuotaBudget = 3;
+});
+
+beforeEach(() => {
+  fs.rmSync(path.join(dataDir, QUOTA_FILE), { force: true });
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("consume", () => {
+  it("counts the units of each API method", async () => {
+    await quotaService.consume("videos.list");
+    await quotaService.consume("videos.list");
+
+    const usage = await quotaService.getUsage();
+    expect(usage).toMatchObject({ used: 2, budget: 3, remaining: 1 });
+    expect(usage.byMethod).toEqual({ "videos.list": 2 });
+  });
+
+  it("refuses calls that would exceed the daily budget", async () => {
+    await Promise.all([1, 2, 3].map(() => quotaService.consume("channels.list")));
+
+    await expect(quotaService.consume("channels.list")).rejects.toMatchObject({
+      code: "QUOTA_EXCEEDED",
+      details: { used: 3, budget: 3 },
+    });
+    expect((await quotaService.getUsage()).used).toBe(3);
+  });
+
+  it("counts concurrent calls one at a time", async () => {
+    const results = await Promise.allSettled(
+      [1, 2, 3, 4, 5].map(() => quotaService.consume("playlists.list"))
+    );
+
+    expect(results.filter(({ status }) => status === "fulfilled")).toHaveLength(3);
+    expect((await quotaService.getUsage()).used).toBe(3);
+  });
+
+  it("reads the usage from storage, shared with other server instances", async () => {
+    const { day } = await quotaService.getUsage();
+    fs.writeFileSync(
+      path.join(dataDir, QUOTA_FILE),
+      JSON.stringify({ day, used: 2, byMethod: { "videos.list": 2 } })
+    );
+
+    await quotaService.consume("subscriptions.list");
+    await expect(quotaService.consume("subscriptions.list")).rejects.toMatchObject({
+      code: "QUOTA_EXCEEDED",
+    });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dataDir, QUOTA_FILE), "utf8"));
+    expect(stored.byMethod).toEqual({ "videos.list": 2, "subscriptions.list": 1 });
+  });
+
+  it("starts over on a new Pacific Time day", async () => {
+    fs.writeFileSync(
+      path.join(dataDir, QUOTA_FILE),
+      JSON.stringify({ day: "2000-01-01", used: 3, byMethod: { "videos.list": 3 } })
+    );
+
+    const usage = await quotaService.getUsage();
+
+    expect(usage.used).toBe(0);
+    expect(usage.day).not.toBe("2000-01-01");
+  });
+});
+
+describe("estimateExport", () => {
+  it("estimates one unit per page of each data type, plus identifying the account", () => {
+    const { units, byDataType } = quotaService.estimateExport({
+      likedVideos: true,
+      watchHistory: true,
+      subscriptions: true,
+      maxResults: 120,
+    });
+
+    expect(byDataType).toEqual({ likedVideos: 3, watchHistory: 3, subscriptions: 3 });
+    expect(units).toBe(10);
+  });
+
+  it("skips the watch history of a Takeout import and multiplies by the accounts", () => {
+    const { units, byDataType } = quotaService.estimateExport(
+      { watchHistory: true, watchHistoryImportId: "import", playlists: true, maxResults: 50 },
+      2
+    );
+
+    // 1 page of playlists, then 1 page of items for each of up to 10 playlists
+    expect(byDataType).toEqual({ playlists: 11 });
+    expect(units).toBe(24);
+  });
+});
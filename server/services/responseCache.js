@@ -0,0 +1,135 @@
+/**
+ * YouTube Response Cache
+ * Stores YouTube API responses per account and request, with the ETag to revalidate them
+ *
+ * Layout: <dataDir>/cache/<channelId>/<requestHash>.json holds
+ * { resource, etag, data, storedAt } for one list request (including its page token).
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/config");
+
+const ACCOUNT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+const cacheDir = () => path.join(config.storage.dataDir, "cache");
+
+/**
+ * File holding the cached response of a request
+ * @param {string} accountId - YouTube channel ID
+ * @param {string} resource - API resource, e.g. "videos"
+ * @param {Object} params - Request parameters
+ * @returns {string} File path
+ */
+const entryFile = (accountId, resource, params) => {
+  if (!ACCOUNT_ID_PATTERN.test(accountId)) {
+    throw new Error("Invalid account ID");
+  }
+
+  // Sorted, so the same request always gets the same file
+  const request = JSON.stringify([
+    resource,
+    Object.keys(params)
+      .sort()
+      .map((name) => [name, params[name]]),
+  ]);
+  const requestHash = crypto.createHash("sha256").update(request).digest("hex");
+
+  return path.join(cacheDir(), accountId, `${requestHash}.json`);
+};
+
+module.exports = {
+  /**
+   * Get the cached response of a request
+   * @param {string} accountId - YouTube channel ID
+   * @param {string} resource - API resource, e.g. "videos"
+   * @param {Object} params - Request parameters
+   * @returns {Promise<Object|null>} { resource, etag, data, storedAt }, or null if not cached
+   */
+  async get(accountId, resource, params) {
+    try {
+      const content = await fs.promises.readFile(
+        entryFile(accountId, resource, params),
+        "utf8"
+      );
+      return JSON.parse(content);
+    } catch (error) {
+      // A broken entry is refetched like a missing one
+      if (error.code !== "ENOENT") {
+        console.error(`Error reading cached ${resource} response:`, error);
+      }
+      return null;
+    }
+  },
+
+  /**
+   * Cache the response of a request
+   * Responses without an ETag can't be revalidated and are not cached.
+   * @param {string} accountId - YouTube channel ID
+   * @param {string} resource - API resource, e.g. "videos"
+   * @param {Object} params - Request parameters
+   * @param {Object} response - { etag, data }
+   * @returns {Promise<void>}
+   */
+  async put(accountId, resource, params, { etag, data }) {
+    if (!etag) {
+      return;
+    }
+
+    let tempFile = null;
+    try {
+      const filePath = entryFile(accountId, resource, params);
+      const content = JSON.stringify({ resource, etag, data, storedAt: Date.now() });
+
+      // Write then rename so a crash never leaves a truncated entry. The temp file
+      // is unique, as the same page may be stored by two exports at once
+      tempFile = `${filePath}.${crypto.randomUUID()}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempFile, content, "utf8");
+      await fs.promises.rename(tempFile, filePath);
+    } catch (error) {
+      // The export goes on; the next one just fetches this page again
+      console.error(`Error caching ${resource} response:`, error);
+
+      if (tempFile) {
+        await fs.promises.rm(tempFile, { force: true }).catch(() => {});
+      }
+    }
+  },
+
+  /**
+   * Remove cached responses that have not been stored or revalidated for longer
+   * than the cache lifetime
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    const now = Date.now();
+    let accountIds;
+
+    try {
+      accountIds = await fs.promises.readdir(cacheDir());
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error reading response cache:", error);
+      }
+      return;
+    }
+
+    for (const accountId of accountIds) {
+      const dir = path.join(cacheDir(), accountId);
+
+      try {
+        for (const file of await fs.promises.readdir(dir)) {
+          const filePath = path.join(dir, file);
+          const stats = await fs.promises.stat(filePath);
+
+          if (now - stats.mtime.getTime() > config.youtube.cacheMaxAge) {
+            await fs.promises.unlink(filePath);
+          }
+        }
+      } catch (error) {
+        console.error(`Error cleaning up cached responses of ${accountId}:`, error);
+      }
+    }
+  },
+};
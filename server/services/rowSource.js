@@ -0,0 +1,71 @@
+/**
+ * Row Sources
+ * Stand in for an array of items too large to hold in memory, such as the chunks
+ * of a chunked export or the pages fetched by an export job
+ *
+ * A row source reads its pages again each time it is iterated, one page at a time.
+ * It knows its row count (length) and the fields its rows have (fields), so
+ * exporters can lay out a file before reading any rows. Those are measured while
+ * the pages are read for another reason where possible (see addPage), as reading
+ * every page is the expensive part.
+ */
+
+module.exports = {
+  /**
+   * Create a row source
+   * @param {Function} readPages - Returns an async iterable of item arrays
+   * @param {Object} stats - { length, fields } of the rows, from addPage or measure
+   * @returns {Object} Row source: { length, fields } and async iteration over items
+   */
+  create(readPages, { length, fields }) {
+    return {
+      length,
+      fields,
+      async *[Symbol.asyncIterator]() {
+        for await (const page of readPages()) {
+          yield* page;
+        }
+      },
+    };
+  },
+
+  /**
+   * Count the rows and fields of a page
+   * @param {Object} [stats] - { length, fields } of the pages so far
+   * @param {Array} page - Items of the page
+   * @returns {Object} { length, fields } including the page
+   */
+  addPage(stats, page) {
+    const { length = 0, fields = new Set() } = stats || {};
+
+    page.forEach((item) => Object.keys(item).forEach((field) => fields.add(field)));
+
+    return { length: length + page.length, fields };
+  },
+
+  /**
+   * Read every page once to count its rows and fields
+   * @param {Function} readPages - Returns an async iterable of item arrays
+   * @returns {Promise<Object>} { length, fields }
+   */
+  async measure(readPages) {
+    let stats = this.addPage(undefined, []);
+
+    for await (const page of readPages()) {
+      stats = this.addPage(stats, page);
+    }
+
+    return stats;
+  },
+
+  /**
+   * Check whether a value is a row source
+   * @param {*} items - Value from export data
+   * @returns {boolean} True for row sources (false for arrays)
+   */
+  isRowSource(items) {
+    return (
+      !!items && !Array.isArray(items) && typeof items[Symbol.asyncIterator] === "function"
+    );
+  },
+};
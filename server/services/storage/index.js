@@ -0,0 +1,95 @@
+/**
+ * Storage Registry
+ * Holds export files and server state, so that several server instances can share them
+ *
+ * Storage is split into two areas:
+ * - "files": export files, chunked upload sessions and Takeout imports, which are
+ *   cleaned up after a while (TEMP_DIR with the local driver)
+ * - "state": export records, export jobs, quota usage, incremental export
+ *   checkpoints and preferences (DATA_DIR with the local driver)
+ *
+ * Every driver works on keys such as "youtube_data_<...>.csv" or
+ * "<sessionId>/chunk_likedVideos_0.json" and implements:
+ * - put(key, content) and get(key) for small files (Buffer or string in, Buffer out)
+ * - writeStream(key, source), which stores a readable stream, and readStream(key)
+ * - stat(key) ({ size, modifiedAt }) and list(dir) ([{ key, size, modifiedAt }]
+ *   of every file below a directory key such as "<sessionId>", or of all files)
+ * - remove(key) and removeDir(dir)
+ * - shared: whether other server instances see the same files
+ * Missing keys are reported with an error whose code is "ENOENT", as with fs.
+ * The driver is chosen with STORAGE_DRIVER ("local" by default, or "s3").
+ */
+const config = require("../../config/config");
+
+// Loaded lazily so optional dependencies are only needed when used
+const drivers = {
+  local: (area) => require("./localStorage").create(area.localDir()),
+  s3: (area) =>
+    require("./s3Storage").create(`${config.storage.s3.prefix}${area.s3Prefix}`),
+};
+
+// Where each storage area is kept, per driver
+const areas = {
+  files: { localDir: () => config.storage.tempDir, s3Prefix: "files/" },
+  state: { localDir: () => config.storage.dataDir, s3Prefix: "state/" },
+};
+
+// Keys are relative paths without "." or ".." segments
+const KEY_PATTERN = /^(?!\.{1,2}(\/|$))[\w.-]+(\/(?!\.{1,2}(\/|$))[\w.-]+)*$/;
+
+// Driver instances by area
+const instances = new Map();
+
+module.exports = {
+  /**
+   * Supported storage drivers
+   * @type {string[]}
+   */
+  DRIVERS: Object.keys(drivers),
+
+  /**
+   * Check that a key is safe to use with any driver
+   * @param {string} key - Storage key
+   * @returns {string} The key
+   * @throws {Error} For absolute paths, ".." segments and unexpected characters
+   */
+  checkKey(key) {
+    if (typeof key !== "string" || !KEY_PATTERN.test(key)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return key;
+  },
+
+  /**
+   * Create the error drivers report for a missing key
+   * @param {string} key - Storage key
+   * @returns {Error} Error with code "ENOENT"
+   */
+  notFoundError(key) {
+    const error = new Error(`No such file in storage: ${key}`);
+    error.code = "ENOENT";
+    return error;
+  },
+
+  /**
+   * Get the configured storage driver for an area
+   * @param {string} [area="files"] - "files" or "state"
+   * @returns {Object} Storage driver
+   */
+  getStorage(area = "files") {
+    if (!instances.has(area)) {
+      const createStorage = drivers[config.storage.driver];
+
+      if (!createStorage) {
+        throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+      }
+      if (!areas[area]) {
+        throw new Error(`Unknown storage area: ${area}`);
+      }
+
+      instances.set(area, createStorage(areas[area]));
+    }
+
+    return instances.get(area);
+  },
+};
@@ -0,0 +1,172 @@
+/**
+ * Local Storage
+ * Keeps stored files in a directory on the local filesystem (TEMP_DIR or DATA_DIR,
+ * depending on the storage area)
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const storage = require("./index");
+
+/**
+ * Write a file next to its destination, then rename it into place, so readers
+ * never see a partly written file. Each write has its own temporary file, so
+ * concurrent writes of one key don't trip over each other; the last rename wins.
+ * @param {string} filePath - Destination
+ * @param {Function} write - Writes to the path it is given
+ * @returns {Promise<void>}
+ */
+const writeAtomically = async (filePath, write) => {
+  const tempFile = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  try {
+    await write(tempFile);
+    await fs.promises.rename(tempFile, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempFile, { force: true });
+    throw error;
+  }
+};
+
+/**
+ * List the files below a directory, recursively
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} File paths
+ */
+const listFiles = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFiles(entryPath)));
+    } else if (!entry.name.endsWith(".tmp")) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+};
+
+module.exports = {
+  /**
+   * Create a driver storing files below a directory
+   * @param {string} root - Directory holding the files
+   * @returns {Object} Storage driver
+   */
+  create(root) {
+    /**
+     * Path of the file holding a key
+     * @param {string} key - Storage key
+     * @returns {string} File path
+     */
+    const keyPath = (key) => path.join(root, storage.checkKey(key));
+
+    return {
+      // Only this server instance sees the files
+      shared: false,
+
+      /**
+       * Store a small file
+       * @param {string} key - Storage key
+       * @param {Buffer|string} content - File content
+       * @returns {Promise<void>}
+       */
+      async put(key, content) {
+        await writeAtomically(keyPath(key), (filePath) =>
+          fs.promises.writeFile(filePath, content)
+        );
+      },
+
+      /**
+       * Read a small file
+       * @param {string} key - Storage key
+       * @returns {Promise<Buffer>} File content
+       */
+      async get(key) {
+        return fs.promises.readFile(keyPath(key));
+      },
+
+      /**
+       * Store everything a stream produces
+       * @param {string} key - Storage key
+       * @param {stream.Readable} source - Content
+       * @returns {Promise<void>} Resolves once the file is complete
+       */
+      async writeStream(key, source) {
+        await writeAtomically(keyPath(key), (filePath) =>
+          pipeline(source, fs.createWriteStream(filePath))
+        );
+      },
+
+      /**
+       * Open a file for reading
+       * @param {string} key - Storage key
+       * @returns {Promise<stream.Readable>} File content
+       */
+      async readStream(key) {
+        // Open first, so a missing file fails here rather than mid-response
+        const handle = await fs.promises.open(keyPath(key), "r");
+        return handle.createReadStream();
+      },
+
+      /**
+       * Get the size and modification time of a file
+       * @param {string} key - Storage key
+       * @returns {Promise<Object>} { size, modifiedAt }
+       */
+      async stat(key) {
+        const stats = await fs.promises.stat(keyPath(key));
+        return { size: stats.size, modifiedAt: stats.mtime.getTime() };
+      },
+
+      /**
+       * List the files below a directory, or all files
+       * @param {string} [dir] - Directory key, e.g. a chunked export session ID
+       * @returns {Promise<Object[]>} [{ key, size, modifiedAt }]
+       */
+      async list(dir) {
+        const objects = [];
+
+        for (const filePath of await listFiles(dir ? keyPath(dir) : root)) {
+          const stats = await fs.promises.stat(filePath);
+          objects.push({
+            key: path.relative(root, filePath).split(path.sep).join("/"),
+            size: stats.size,
+            modifiedAt: stats.mtime.getTime(),
+          });
+        }
+
+        return objects;
+      },
+
+      /**
+       * Delete a file, if it exists
+       * @param {string} key - Storage key
+       * @returns {Promise<void>}
+       */
+      async remove(key) {
+        await fs.promises.rm(keyPath(key), { force: true });
+      },
+
+      /**
+       * Delete a directory with everything below it
+       * @param {string} dir - Directory key
+       * @returns {Promise<void>}
+       */
+      async removeDir(dir) {
+        await fs.promises.rm(keyPath(dir), { recursive: true, force: true });
+      },
+    };
+  },
+};
@@ -0,0 +1,247 @@
+/**
+ * S3 Storage
+ * Keeps stored files in an S3 bucket or an S3-compatible service such as MinIO
+ * (requires @aws-sdk/client-s3 and @aws-sdk/lib-storage)
+ *
+ * Credentials come from the usual AWS sources (AWS_ACCESS_KEY_ID and
+ * AWS_SECRET_ACCESS_KEY, a shared profile or an instance role). Keys are stored
+ * below config.storage.s3.prefix, in a folder per storage area.
+ */
+const config = require("../../config/config");
+const storage = require("./index");
+
+let sdk = null;
+let client = null;
+
+/**
+ * Load the AWS SDK and create the client (once)
+ * @returns {Object} { sdk, client }
+ */
+const getClient = () => {
+  if (client) {
+    return { sdk, client };
+  }
+
+  try {
+    sdk = {
+      ...require("@aws-sdk/client-s3"),
+      Upload: require("@aws-sdk/lib-storage").Upload,
+    };
+  } catch (error) {
+    throw new Error(
+      "The S3 storage driver needs the AWS SDK: npm install @aws-sdk/client-s3 @aws-sdk/lib-storage"
+    );
+  }
+
+  const { bucket, region, endpoint, forcePathStyle } = config.storage.s3;
+  if (!bucket) {
+    throw new Error("The S3 storage driver needs S3_BUCKET");
+  }
+
+  client = new sdk.S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
+  });
+
+  return { sdk, client };
+};
+
+/**
+ * Send a command, reporting missing objects like fs does
+ * @param {string} key - Storage key the command is about
+ * @param {Object} command - S3 command
+ * @returns {Promise<Object>} Command output
+ */
+const send = async (key, command) => {
+  try {
+    return await getClient().client.send(command);
+  } catch (error) {
+    if (error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404) {
+      throw storage.notFoundError(key);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  /**
+   * Create a driver storing objects below a key prefix
+   * @param {string} prefix - Object key prefix, e.g. "exporter/files/"
+   * @returns {Object} Storage driver
+   */
+  create(prefix) {
+    /**
+     * Object key of a storage key
+     * @param {string} key - Storage key
+     * @returns {string} Object key in the bucket
+     */
+    const objectKey = (key) => `${prefix}${storage.checkKey(key)}`;
+
+    return {
+      // Every server instance using the bucket sees the same objects
+      shared: true,
+
+      /**
+       * Store a small file
+       * @param {string} key - Storage key
+       * @param {Buffer|string} content - File content
+       * @returns {Promise<void>}
+       */
+      async put(key, content) {
+        const { sdk } = getClient();
+        await send(
+          key,
+          new sdk.PutObjectCommand({
+            Bucket: config.storage.s3.bucket,
+            Key: objectKey(key),
+            Body: content,
+          })
+        );
+      },
+
+      /**
+       * Read a small file
+       * @param {string} key - Storage key
+       * @returns {Promise<Buffer>} File content
+       */
+      async get(key) {
+        const { sdk } = getClient();
+        const output = await send(
+          key,
+          new sdk.GetObjectCommand({
+            Bucket: config.storage.s3.bucket,
+            Key: objectKey(key),
+          })
+        );
+        return Buffer.from(await output.Body.transformToByteArray());
+      },
+
+      /**
+       * Store everything a stream produces, as a multipart upload when it is large
+       * @param {string} key - Storage key
+       * @param {stream.Readable} source - Content
+       * @returns {Promise<void>} Resolves once the object is complete
+       */
+      async writeStream(key, source) {
+        const { sdk, client } = getClient();
+        const upload = new sdk.Upload({
+          client,
+          params: { Bucket: config.storage.s3.bucket, Key: objectKey(key), Body: source },
+        });
+
+        await upload.done();
+      },
+
+      /**
+       * Open a file for reading
+       * @param {string} key - Storage key
+       * @returns {Promise<stream.Readable>} File content
+       */
+      async readStream(key) {
+        const { sdk } = getClient();
+        const output = await send(
+          key,
+          new sdk.GetObjectCommand({
+            Bucket: config.storage.s3.bucket,
+            Key: objectKey(key),
+          })
+        );
+        return output.Body;
+      },
+
+      /**
+       * Get the size and modification time of a file
+       * @param {string} key - Storage key
+       * @returns {Promise<Object>} { size, modifiedAt }
+       */
+      async stat(key) {
+        const { sdk } = getClient();
+        const output = await send(
+          key,
+          new sdk.HeadObjectCommand({
+            Bucket: config.storage.s3.bucket,
+            Key: objectKey(key),
+          })
+        );
+        return { size: output.ContentLength, modifiedAt: output.LastModified.getTime() };
+      },
+
+      /**
+       * List the files below a directory, or all files
+       * @param {string} [dir] - Directory key, e.g. a chunked export session ID
+       * @returns {Promise<Object[]>} [{ key, size, modifiedAt }]
+       */
+      async list(dir) {
+        const { sdk, client } = getClient();
+        const { bucket } = config.storage.s3;
+        const listPrefix = dir ? `${objectKey(dir)}/` : prefix;
+        const objects = [];
+        let ContinuationToken;
+
+        do {
+          const output = await client.send(
+            new sdk.ListObjectsV2Command({
+              Bucket: bucket,
+              Prefix: listPrefix,
+              ContinuationToken,
+            })
+          );
+
+          (output.Contents || []).forEach((object) => {
+            objects.push({
+              key: object.Key.slice(prefix.length),
+              size: object.Size,
+              modifiedAt: object.LastModified.getTime(),
+            });
+          });
+          ContinuationToken = output.NextContinuationToken;
+        } while (ContinuationToken);
+
+        return objects;
+      },
+
+      /**
+       * Delete a file, if it exists
+       * @param {string} key - Storage key
+       * @returns {Promise<void>}
+       */
+      async remove(key) {
+        const { sdk } = getClient();
+        await send(
+          key,
+          new sdk.DeleteObjectCommand({
+            Bucket: config.storage.s3.bucket,
+            Key: objectKey(key),
+          })
+        );
+      },
+
+      /**
+       * Delete a directory with everything below it
+       * @param {string} dir - Directory key
+       * @returns {Promise<void>}
+       */
+      async removeDir(dir) {
+        const { sdk } = getClient();
+        const objects = await this.list(dir);
+
+        // DeleteObjects takes up to 1000 keys at a time
+        for (let start = 0; start < objects.length; start += 1000) {
+          await send(
+            dir,
+            new sdk.DeleteObjectsCommand({
+              Bucket: config.storage.s3.bucket,
+              Delete: {
+                Objects: objects
+                  .slice(start, start + 1000)
+                  .map(({ key }) => ({ Key: objectKey(key) })),
+                Quiet: true,
+              },
+            })
+          );
+        }
+      },
+    };
+  },
+};
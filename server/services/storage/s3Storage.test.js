@@ -0,0 +1,117 @@
+const {
+  S3Client,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const config = require("../../config/config");
+const s3Storage = require("./s3Storage");
+
+const PREFIX = "exporter/state/";
+
+/**
+ * An object as ListObjectsV2 reports it
+ * @param {string} key - Object key in the bucket
+ * @returns {Object} Listed object
+ */
+const listed = (key) => ({ Key: key, Size: 1, LastModified: new Date(0) });
+
+/**
+ * An error as the SDK reports it for an HTTP status
+ * @param {string} name - Error name
+ * @param {number} status - HTTP status
+ * @returns {Error} The error
+ */
+const s3Error = (name, status) =>
+  Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+let send;
+let driver;
+
+beforeAll(() => {
+  config.storage.s3.bucket = "test-bucket";
+});
+
+beforeEach(() => {
+  send = jest.spyOn(S3Client.prototype, "send");
+  driver = s3Storage.create(PREFIX);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("list", () => {
+  it("lists below the directory's prefix and returns storage keys", async () => {
+    send
+      .mockResolvedValueOnce({
+        Contents: [listed(`${PREFIX}session/a.json`)],
+        NextContinuationToken: "more",
+      })
+      .mockResolvedValueOnce({ Contents: [listed(`${PREFIX}session/b.json`)] });
+
+    const objects = await driver.list("session");
+
+    expect(objects.map(({ key }) => key)).toEqual(["session/a.json", "session/b.json"]);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[0][0]).toBeInstanceOf(ListObjectsV2Command);
+    // The trailing slash keeps "session" from matching "session2"
+    expect(send.mock.calls[0][0].input).toMatchObject({
+      Bucket: "test-bucket",
+      Prefix: `${PREFIX}session/`,
+    });
+    expect(send.mock.calls[1][0].input.ContinuationToken).toBe("more");
+  });
+
+  it("lists the whole area without a directory", async () => {
+    send.mockResolvedValueOnce({});
+
+    expect(await driver.list()).toEqual([]);
+    expect(send.mock.calls[0][0].input.Prefix).toBe(PREFIX);
+  });
+});
+
+describe("removeDir", () => {
+  it("deletes the objects below a directory 1000 at a time", async () => {
+    const keys = Array.from({ length: 2500 }, (_, i) => `${PREFIX}session/${i}.json`);
+    send.mockResolvedValueOnce({ Contents: keys.map(listed) }).mockResolvedValue({});
+
+    await driver.removeDir("session");
+
+    const deletes = send.mock.calls
+      .map(([command]) => command)
+      .filter((command) => command instanceof DeleteObjectsCommand);
+    expect(deletes.map(({ input }) => input.Delete.Objects.length)).toEqual([1000, 1000, 500]);
+    expect(deletes.flatMap(({ input }) => input.Delete.Objects.map(({ Key }) => Key))).toEqual(
+      keys
+    );
+  });
+
+  it("sends nothing for an empty directory", async () => {
+    send.mockResolvedValueOnce({});
+
+    await driver.removeDir("session");
+
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("missing objects", () => {
+  it.each([
+    ["NoSuchKey", s3Error("NoSuchKey", 404)],
+    ["a 404 without a body", s3Error("NotFound", 404)],
+  ])("reports %s as ENOENT", async (name, error) => {
+    send.mockRejectedValueOnce(error);
+
+    await expect(driver.get("missing.json")).rejects.toMatchObject({ code: "ENOENT" });
+    expect(send.mock.calls[0][0]).toBeInstanceOf(GetObjectCommand);
+    expect(send.mock.calls[0][0].input.Key).toBe(`${PREFIX}missing.json`);
+  });
+
+  it("passes other errors on", async () => {
+    const error = s3Error("AccessDenied", 403);
+    send.mockRejectedValueOnce(error);
+
+    await expect(driver.stat("file.json")).rejects.toBe(error);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Google Takeout Import Service
+ * Parses a Takeout watch-history file into watch history items
+ */
+const crypto = require("crypto");
+const storage = require("./storage");
+const { AppError } = require("../utils/errors");
+
+const IMPORT_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+/**
+ * Extract the video ID from a YouTube watch URL
+ * @param {string} url - URL such as https://www.youtube.com/watch?v=abc
+ * @returns {string|null} The video ID
+ */
+const extractVideoId = (url) => {
+  const match = url && url.match(/[?&]v=([\w-]{11})/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Extract the channel ID from a YouTube channel URL
+ * @param {string} url - URL such as https://www.youtube.com/channel/UC...
+ * @returns {string|null} The channel ID
+ */
+const extractChannelId = (url) => {
+  const match = url && url.match(/\/channel\/([\w-]+)/);
+  return match ? match[1] : null;
+};
+
+/**
+ * Normalize a Takeout timestamp to ISO 8601 where possible
+ * @param {string} value - Timestamp as found in the export
+ * @returns {string} ISO timestamp, or the original text if it can't be parsed
+ */
+const normalizeDate = (value) => {
+  const text = (value || "").replace(/[\u00A0\u202F]/g, " ").trim();
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? text : date.toISOString();
+};
+
+/**
+ * Decode the handful of HTML entities Takeout emits
+ * @param {string} text - HTML-encoded text
+ * @returns {string} Decoded text
+ */
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+/**
+ * Build a watch history item in the same shape as youtubeService.getWatchHistory
+ */
+const toHistoryItem = ({ videoUrl, title, channelUrl, channelTitle, time }) => {
+  const videoId = extractVideoId(videoUrl);
+
+  return {
+    videoId,
+    title,
+    channelTitle: channelTitle || "",
+    channelId: extractChannelId(channelUrl),
+    watchedAt: normalizeDate(time),
+    thumbnailUrl: videoId
+      ? `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`
+      : undefined,
+  };
+};
+
+/**
+ * Parse the JSON flavour of watch-history
+ * @param {Array} entries - Parsed watch-history.json
+ * @returns {Array} Watch history items
+ */
+const parseJson = (entries) => {
+  if (!Array.isArray(entries)) {
+    throw new Error("Unrecognized watch history JSON");
+  }
+
+  return entries
+    .filter(
+      (entry) =>
+        entry &&
+        entry.titleUrl &&
+        // Ads served while watching are listed with "From Google Ads"
+        !(entry.details || []).some((detail) => /Google Ads/i.test(detail.name))
+    )
+    .map((entry) => {
+      const channel = (entry.subtitles || [])[0] || {};
+
+      return toHistoryItem({
+        videoUrl: entry.titleUrl,
+        title: (entry.title || "").replace(/^Watched\s+/, ""),
+        channelUrl: channel.url,
+        channelTitle: channel.name,
+        time: entry.time,
+      });
+    });
+};
+
+/**
+ * Parse the HTML flavour of watch-history
+ * @param {string} html - Contents of watch-history.html
+ * @returns {Array} Watch history items
+ */
+const parseHtml = (html) => {
+  const items = [];
+  const cellPattern = /<div class="content-cell[^"]*mdl-typography--body-1">([\s\S]*?)<\/div>/g;
+  let cell;
+
+  while ((cell = cellPattern.exec(html)) !== null) {
+    const content = cell[1];
+
+    if (!/^Watched/.test(content)) {
+      continue;
+    }
+
+    const links = [...content.matchAll(/<a href="([^"]*)">([\s\S]*?)<\/a>/g)];
+    if (links.length === 0) {
+      continue;
+    }
+
+    // The timestamp is the last line of the cell
+    const lines = content.split(/<br\s*\/?>/).filter((line) => line.trim());
+
+    items.push(
+      toHistoryItem({
+        videoUrl: decodeEntities(links[0][1]),
+        title: decodeEntities(links[0][2]),
+        channelUrl: links[1] ? decodeEntities(links[1][1]) : null,
+        channelTitle: links[1] ? decodeEntities(links[1][2]) : "",
+        time: decodeEntities(lines[lines.length - 1]),
+      })
+    );
+  }
+
+  if (items.length === 0 && !/content-cell/.test(html)) {
+    throw new Error("Unrecognized watch history HTML");
+  }
+
+  return items;
+};
+
+module.exports = {
+  /**
+   * Parse a Takeout watch-history file (JSON or HTML)
+   * @param {string} content - File contents
+   * @returns {Array} Watch history items, newest first
+   */
+  parseWatchHistory(content) {
+    const text = content.replace(/^\uFEFF/, "").trim();
+
+    const items = text.startsWith("[")
+      ? parseJson(JSON.parse(text))
+      : parseHtml(text);
+
+    return items.filter((item) => item.videoId !== null);
+  },
+
+  /**
+   * Parse an uploaded Takeout file and store the result for a later export
+   * @param {Buffer|string} content - Uploaded file contents
+   * @param {string} ownerId - ID of the uploading account (see youtubeService.getAccountId)
+   * @param {number} [maxResults] - Maximum number of items to keep
+   * @returns {Promise<Object>} The import ID and item count
+   * @throws {AppError} INVALID_REQUEST when the file can't be parsed
+   */
+  async importWatchHistory(content, ownerId, maxResults) {
+    let items;
+
+    try {
+      items = this.parseWatchHistory(content.toString("utf8"));
+    } catch (error) {
+      console.error("Error parsing Takeout watch history:", error);
+      throw new AppError("INVALID_REQUEST", "Failed to parse watch history file", {
+        cause: error,
+      });
+    }
+
+    if (maxResults) {
+      items = items.slice(0, maxResults);
+    }
+
+    const importId = crypto.randomUUID();
+    await storage
+      .getStorage()
+      .put(`takeout_${importId}.json`, JSON.stringify({ ownerId, items }));
+
+    return { importId, count: items.length };
+  },
+
+  /**
+   * Load a previously imported watch history
+   * @param {string} importId - ID returned by importWatchHistory
+   * @param {string} accountId - ID of the requesting account
+   * @returns {Promise<Array>} Watch history items
+   * @throws {AppError} INVALID_REQUEST for a malformed ID, NOT_FOUND for an unknown
+   *   or expired import and FORBIDDEN for another account's import
+   */
+  async loadImport(importId, accountId) {
+    if (typeof importId !== "string" || !IMPORT_ID_PATTERN.test(importId)) {
+      throw new AppError("INVALID_REQUEST", "Invalid watch history import ID");
+    }
+
+    let stored;
+    try {
+      stored = JSON.parse(await storage.getStorage().get(`takeout_${importId}.json`));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error("Error loading Takeout import:", error);
+        throw error;
+      }
+      throw new AppError("NOT_FOUND", "Watch history import not found or expired");
+    }
+
+    if (stored.ownerId !== accountId) {
+      throw new AppError("FORBIDDEN", "This watch history import belongs to another account");
+    }
+
+    return stored.items;
+  },
+};
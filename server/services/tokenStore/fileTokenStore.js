@@ -0,0 +1,109 @@
+/**
+ * File Token Store
+ * Keeps OAuth token records in a single encrypted file, <dataDir>/tokens.enc
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config/config");
+const tokenCrypto = require("./tokenCrypto");
+
+const filePath = () => path.join(config.storage.dataDir, "tokens.enc");
+
+// Records by account ID, loaded from disk on first use
+let records = null;
+
+// Pending write, so the file is never written concurrently
+let writeQueue = Promise.resolve();
+
+/**
+ * Load the records from disk (once)
+ * @returns {Promise<Map>} Records by account ID
+ */
+const load = async () => {
+  if (records) {
+    return records;
+  }
+
+  try {
+    const content = await fs.promises.readFile(filePath(), "utf8");
+    records = new Map(Object.entries(tokenCrypto.decrypt(content.trim())));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      // Don't start over silently: that would drop every stored refresh token
+      console.error("Error reading token store:", error);
+      throw new Error("Failed to read token store");
+    }
+    records = new Map();
+  }
+
+  return records;
+};
+
+/**
+ * Write all records to disk
+ * @returns {Promise<void>}
+ */
+const persist = () => {
+  const content = tokenCrypto.encrypt(Object.fromEntries(records));
+
+  const next = writeQueue.then(async () => {
+    await fs.promises.mkdir(path.dirname(filePath()), { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated store
+    const tempFile = `${filePath()}.tmp`;
+    await fs.promises.writeFile(tempFile, content, { encoding: "utf8", mode: 0o600 });
+    await fs.promises.rename(tempFile, filePath());
+  });
+
+  // A failed write is reported to its caller only; later writes still run
+  writeQueue = next.catch(() => {});
+
+  return next;
+};
+
+module.exports = {
+  /**
+   * Get the record of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} The record
+   */
+  async get(accountId) {
+    return (await load()).get(accountId) || null;
+  },
+
+  /**
+   * Find the record an access token belongs to
+   * @param {string} tokenHash - SHA-256 hash of the access token
+   * @returns {Promise<Object|null>} The record
+   */
+  async findByAccessTokenHash(tokenHash) {
+    for (const record of (await load()).values()) {
+      if (record.accessTokenHashes.includes(tokenHash)) {
+        return record;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Create or replace the record of an account
+   * @param {Object} record - { accountId, tokens, accessTokenHashes, updatedAt }
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    (await load()).set(record.accountId, record);
+    await persist();
+  },
+
+  /**
+   * Delete the record of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async remove(accountId) {
+    if ((await load()).delete(accountId)) {
+      await persist();
+    }
+  },
+};
@@ -0,0 +1,44 @@
+/**
+ * Token Store Registry
+ * Persists OAuth tokens per Google account so refresh survives restarts
+ *
+ * Every store implements get(accountId), findByAccessTokenHash(hash),
+ * put(record) and remove(accountId), where a record is
+ * { accountId, tokens, accessTokenHashes, updatedAt }.
+ * The store is chosen with TOKEN_STORE ("file" by default, or "sqlite").
+ */
+const config = require("../../config/config");
+
+// Loaded lazily so optional dependencies are only needed when used
+const stores = {
+  file: () => require("./fileTokenStore"),
+  sqlite: () => require("./sqliteTokenStore"),
+};
+
+let store = null;
+
+module.exports = {
+  /**
+   * Supported token store types
+   * @type {string[]}
+   */
+  TYPES: Object.keys(stores),
+
+  /**
+   * Get the configured token store
+   * @returns {Object} Token store
+   */
+  getTokenStore() {
+    if (!store) {
+      const createStore = stores[config.tokenStore.type];
+
+      if (!createStore) {
+        throw new Error(`Unknown token store: ${config.tokenStore.type}`);
+      }
+
+      store = createStore();
+    }
+
+    return store;
+  },
+};
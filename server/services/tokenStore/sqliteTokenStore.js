@@ -0,0 +1,119 @@
+/**
+ * SQLite Token Store
+ * Keeps OAuth token records in <dataDir>/tokens.sqlite (requires better-sqlite3)
+ *
+ * Token values are encrypted the same way as in the file store; only the
+ * account ID and access token hashes are stored in the clear, for lookups.
+ */
+const fs = require("fs");
+const path = require("path");
+const config = require("../../config/config");
+const tokenCrypto = require("./tokenCrypto");
+
+let db = null;
+
+/**
+ * Open the database and create the table (once)
+ * @returns {Object} better-sqlite3 database
+ */
+const getDb = () => {
+  if (db) {
+    return db;
+  }
+
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    throw new Error(
+      "The SQLite token store needs the better-sqlite3 package: npm install better-sqlite3"
+    );
+  }
+
+  fs.mkdirSync(config.storage.dataDir, { recursive: true });
+  db = new Database(path.join(config.storage.dataDir, "tokens.sqlite"));
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tokens (
+      account_id TEXT PRIMARY KEY,
+      access_token_hashes TEXT NOT NULL,
+      tokens TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    )
+  `);
+
+  return db;
+};
+
+/**
+ * Convert a table row to a record
+ * @param {Object} [row] - Row of the tokens table
+ * @returns {Object|null} The record
+ */
+const toRecord = (row) =>
+  row
+    ? {
+        accountId: row.account_id,
+        tokens: tokenCrypto.decrypt(row.tokens),
+        accessTokenHashes: JSON.parse(row.access_token_hashes),
+        updatedAt: row.updated_at,
+      }
+    : null;
+
+module.exports = {
+  /**
+   * Get the record of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object|null>} The record
+   */
+  async get(accountId) {
+    return toRecord(
+      getDb().prepare("SELECT * FROM tokens WHERE account_id = ?").get(accountId)
+    );
+  },
+
+  /**
+   * Find the record an access token belongs to
+   * @param {string} tokenHash - SHA-256 hash of the access token (hex)
+   * @returns {Promise<Object|null>} The record
+   */
+  async findByAccessTokenHash(tokenHash) {
+    // Hashes are hex, so they can't contain LIKE wildcards
+    return toRecord(
+      getDb()
+        .prepare("SELECT * FROM tokens WHERE access_token_hashes LIKE ?")
+        .get(`%"${tokenHash}"%`)
+    );
+  },
+
+  /**
+   * Create or replace the record of an account
+   * @param {Object} record - { accountId, tokens, accessTokenHashes, updatedAt }
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    getDb()
+      .prepare(
+        `INSERT INTO tokens (account_id, access_token_hashes, tokens, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(account_id) DO UPDATE SET
+           access_token_hashes = excluded.access_token_hashes,
+           tokens = excluded.tokens,
+           updated_at = excluded.updated_at`
+      )
+      .run(
+        record.accountId,
+        JSON.stringify(record.accessTokenHashes),
+        tokenCrypto.encrypt(record.tokens),
+        record.updatedAt
+      );
+  },
+
+  /**
+   * Delete the record of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async remove(accountId) {
+    getDb().prepare("DELETE FROM tokens WHERE account_id = ?").run(accountId);
+  },
+};
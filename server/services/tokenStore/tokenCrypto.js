@@ -0,0 +1,70 @@
+/**
+ * Token Encryption
+ * AES-256-GCM encryption for stored OAuth tokens
+ */
+const crypto = require("crypto");
+const config = require("../../config/config");
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_SALT = "youtube-data-exporter-token-store";
+
+let key = null;
+
+/**
+ * Derive the encryption key from the configured secret (once)
+ * @returns {Buffer} 32-byte key
+ */
+const getKey = () => {
+  if (!key) {
+    let secret = config.tokenStore.encryptionKey;
+
+    if (!secret) {
+      console.warn(
+        "TOKEN_ENCRYPTION_KEY is not set; encrypting stored tokens with the session secret"
+      );
+      secret = config.security.sessionSecret;
+    }
+
+    key = crypto.scryptSync(secret, KEY_SALT, 32);
+  }
+
+  return key;
+};
+
+module.exports = {
+  /**
+   * Encrypt a JSON-serializable value
+   * @param {*} value - Value to encrypt
+   * @returns {string} Base64 of iv, auth tag and ciphertext, separated by dots
+   */
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), "utf8"),
+      cipher.final(),
+    ]);
+
+    return [iv, cipher.getAuthTag(), ciphertext]
+      .map((part) => part.toString("base64"))
+      .join(".");
+  },
+
+  /**
+   * Decrypt a value produced by encrypt()
+   * @param {string} payload - Encrypted value
+   * @returns {*} The decrypted value
+   * @throws {Error} If the payload was tampered with or the key has changed
+   */
+  decrypt(payload) {
+    const [iv, tag, ciphertext] = String(payload)
+      .split(".")
+      .map((part) => Buffer.from(part, "base64"));
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+
+    const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    return JSON.parse(plaintext.toString("utf8"));
+  },
+};
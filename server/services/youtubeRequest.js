@@ -0,0 +1,264 @@
+/**
+ * YouTube API Request Wrapper
+ * Counts quota, classifies errors and retries transient failures with backoff
+ *
+ * Responses of an account's requests are cached (see responseCache). A cached
+ * response younger than the cache TTL is used without asking YouTube; an older
+ * one is revalidated with its ETag, and YouTube answers 304 if it is unchanged.
+ *
+ * Errors are classified as:
+ * - retryable: 5xx, 429, rate limits and network failures; retried with jittered
+ *   exponential backoff, or after Retry-After when YouTube sends one
+ * - quota: the project's daily quota is used up
+ * - auth: the token is invalid or lacks permission
+ * - notFound: the resource does not exist
+ * - other: anything else, e.g. a bad request
+ *
+ * Failures are rethrown as AppErrors, see toAppError.
+ */
+const config = require("../config/config");
+const quotaService = require("./quotaService");
+const responseCache = require("./responseCache");
+const fixtureService = require("./fixtureService");
+const { AppError } = require("../utils/errors");
+
+const RETRYABLE_REASONS = ["rateLimitExceeded", "userRateLimitExceeded", "backendError"];
+const QUOTA_REASONS = ["quotaExceeded", "dailyLimitExceeded"];
+const SCOPE_REASONS = ["insufficientPermissions", "ACCESS_TOKEN_SCOPE_INSUFFICIENT"];
+const NETWORK_ERRORS = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * Create the error used when an export is cancelled
+ * @returns {Error} AbortError
+ */
+const abortError = () => {
+  const error = new Error("Export cancelled");
+  error.name = "AbortError";
+  return error;
+};
+
+/**
+ * Wait before retrying, stopping early when the export is cancelled
+ * @param {number} delay - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Signal of the export
+ * @returns {Promise<void>}
+ */
+const sleep = (delay, signal) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Read a Retry-After header
+ * @param {string} [value] - Seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+const parseRetryAfter = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Delay before the next attempt ("full jitter" exponential backoff)
+ * @param {number} attempt - 1-based number of the attempt that failed
+ * @returns {number} Milliseconds to wait
+ */
+const backoffDelay = (attempt) => {
+  const { retryBaseDelay, retryMaxDelay } = config.youtube;
+  const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Turn a failed YouTube API call into an AppError
+ * @param {Error} error - Error thrown by googleapis
+ * @param {Object} classified - Result of classifyError
+ * @returns {AppError} Error with a code for the client
+ */
+const toAppError = (error, { category, status, reason }) => {
+  const apiMessage = error.response?.data?.error?.message || error.message;
+  const options = { details: { status, reason, category }, cause: error };
+
+  switch (category) {
+    case "quota":
+      return new AppError(
+        "QUOTA_EXCEEDED",
+        "YouTube reports that the project's daily API quota is used up. It resets at midnight Pacific Time.",
+        options
+      );
+    case "auth":
+      if (status === 401) {
+        return new AppError("TOKEN_EXPIRED", "YouTube no longer accepts the sign-in.", options);
+      }
+      if (SCOPE_REASONS.includes(reason)) {
+        return new AppError("SCOPE_MISSING", `YouTube refused access: ${apiMessage}`, options);
+      }
+      // Other refusals concern the data, e.g. a private playlist
+      return new AppError("YOUTUBE_REQUEST_FAILED", `YouTube refused access: ${apiMessage}`, {
+        ...options,
+        status: 403,
+      });
+    case "notFound":
+      return new AppError("NOT_FOUND", `YouTube could not find it: ${apiMessage}`, options);
+    case "retryable":
+      return new AppError(
+        "YOUTUBE_UNAVAILABLE",
+        `YouTube kept failing or limiting requests: ${apiMessage}`,
+        options
+      );
+    default:
+      return new AppError(
+        "YOUTUBE_REQUEST_FAILED",
+        `YouTube rejected the request: ${apiMessage}`,
+        options
+      );
+  }
+};
+
+module.exports = {
+  /**
+   * Create the error used when an export is cancelled
+   * @returns {Error} AbortError
+   */
+  abortError,
+
+  /**
+   * Classify an error from the YouTube API
+   * @param {Error} error - Error thrown by googleapis
+   * @returns {Object} { category, status, reason, retryAfter }
+   */
+  classifyError(error) {
+    const status =
+      error.response?.status ?? (typeof error.code === "number" ? error.code : null);
+    const reason =
+      error.errors?.[0]?.reason || error.response?.data?.error?.errors?.[0]?.reason;
+    const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+
+    let category = "other";
+    if (QUOTA_REASONS.includes(reason)) {
+      category = "quota";
+    } else if (
+      RETRYABLE_REASONS.includes(reason) ||
+      status === 429 ||
+      status >= 500 ||
+      NETWORK_ERRORS.includes(error.code)
+    ) {
+      category = "retryable";
+    } else if (status === 401 || status === 403) {
+      category = "auth";
+    } else if (status === 404) {
+      category = "notFound";
+    }
+
+    return { category, status, reason, retryAfter };
+  },
+
+  /**
+   * Create a YouTube API client whose list calls go through this wrapper
+   * @param {OAuth2Client} auth - Authenticated OAuth2 client
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops waiting for a retry when aborted
+   * @param {Object} [options.cache] - Cache responses for { accountId, refresh }
+   * @returns {Object} Client with list(resource, params)
+   */
+  createClient(auth, { signal, cache } = {}) {
+    // Records or replays responses when config.fixtures.mode asks for it
+    const youtube = fixtureService.createClient(auth);
+
+    return {
+      list: (resource, params) => this.list(youtube, resource, params, { signal, cache }),
+    };
+  },
+
+  /**
+   * Call a YouTube list method, counting its quota and retrying transient errors
+   * Every attempt is counted, as YouTube charges failed requests (and 304s) too.
+   * @param {Object} youtube - YouTube API client
+   * @param {string} resource - API resource, e.g. "videos"
+   * @param {Object} params - Request parameters
+   * @param {Object} [options] - Request options
+   * @param {AbortSignal} [options.signal] - Stops waiting for a retry when aborted
+   * @param {Object} [options.cache] - { accountId, refresh }; without an accountId
+   *   nothing is cached, and refresh skips cached responses but stores the new one
+   * @returns {Promise<Object>} API response; `cached` is "fresh" or "revalidated"
+   *   when the data came from the cache
+   * @throws {AppError} The last error, once retries are used up or can't help
+   */
+  async list(youtube, resource, params, { signal, cache } = {}) {
+    const { maxRetries, cacheTtl } = config.youtube;
+    const accountId = cache?.accountId;
+    const cached =
+      accountId && !cache.refresh
+        ? await responseCache.get(accountId, resource, params)
+        : null;
+
+    if (cached && Date.now() - cached.storedAt < cacheTtl) {
+      return { data: cached.data, cached: "fresh" };
+    }
+
+    // Ask YouTube to answer 304 Not Modified instead of resending unchanged data
+    const requestOptions = cached
+      ? {
+          headers: { "If-None-Match": cached.etag },
+          validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+        }
+      : {};
+
+    for (let attempt = 1; ; attempt++) {
+      await quotaService.consume(`${resource}.list`);
+
+      try {
+        const response = await youtube[resource].list(params, requestOptions);
+
+        if (cached && response.status === 304) {
+          await responseCache.put(accountId, resource, params, cached);
+          return { ...response, data: cached.data, cached: "revalidated" };
+        }
+
+        if (accountId) {
+          await responseCache.put(accountId, resource, params, {
+            etag: response.headers?.etag || response.data.etag,
+            data: response.data,
+          });
+        }
+
+        return response;
+      } catch (error) {
+        const classified = this.classifyError(error);
+        const { category, status, reason, retryAfter } = classified;
+
+        // Waiting longer than the longest backoff would stall the export
+        const tooLong = retryAfter !== null && retryAfter > config.youtube.retryMaxDelay;
+
+        if (category !== "retryable" || attempt > maxRetries || tooLong) {
+          throw toAppError(error, classified);
+        }
+
+        const delay = retryAfter ?? backoffDelay(attempt);
+        console.warn(
+          `YouTube ${resource}.list failed (${status || error.code} ${reason || ""}), ` +
+            `retrying in ${delay} ms (attempt ${attempt} of ${maxRetries})`
+        );
+        await sleep(delay, signal);
+      }
+    }
+  },
+};
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config/config");
+const quotaService = require("./quotaService");
+const youtubeRequest = require("./youtubeRequest");
+
+/**
+ * Create an error the way googleapis reports a failed request
+ * @param {number} status - HTTP status
+ * @param {string} [reason] - YouTube error reason
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} The error
+ */
+const apiError = (status, reason, headers = {}) => {
+  const error = new Error(`Request failed with status ${status}`);
+  error.response = {
+    status,
+    headers,
+    data: { error: { message: reason || "Failed", errors: reason ? [{ reason }] : [] } },
+  };
+  return error;
+};
+
+const ok = { status: 200, headers: {}, data: { items: [{ id: "v1" }] } };
+
+/**
+ * Create a YouTube client whose videos.list answers with the given results in turn
+ * @param {...(Object|Error)} results - Responses, or errors to throw
+ * @returns {Object} Client with a jest mock for videos.list
+ */
+const clientAnswering = (...results) => {
+  const list = jest.fn();
+  results.forEach((result) =>
+    result instanceof Error
+      ? list.mockRejectedValueOnce(result)
+      : list.mockResolvedValueOnce(result)
+  );
+  return { videos: { list } };
+};
+
+const quotaUsed = async () => (await quotaService.getUsage()).byMethod["videos.list"] || 0;
+
+let dataDir;
+
+beforeAll(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "request-test-"));
+  config.storage.dataDir = dataDir;
+  config.youtube.dailyQuotaBudget = 10000;
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  Object.assign(config.youtube, { maxRetries: 2, retryBaseDelay: 1, retryMaxDelay: 2000 });
+  fs.rmSync(path.join(dataDir, "quota.json"), { force: true });
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("classifyError", () => {
+  it.each([
+    ["a server error", apiError(503), "retryable"],
+    ["too many requests", apiError(429), "retryable"],
+    ["a rate limit", apiError(403, "rateLimitExceeded"), "retryable"],
+    [
+      "a network error",
+      Object.assign(new Error("socket hang up"), { code: "ECONNRESET" }),
+      "retryable",
+    ],
+    ["a used up quota", apiError(403, "quotaExceeded"), "quota"],
+    ["an invalid token", apiError(401), "auth"],
+    ["a missing scope", apiError(403, "insufficientPermissions"), "auth"],
+    ["a missing resource", apiError(404), "notFound"],
+    ["a bad request", apiError(400, "invalidParameter"), "other"],
+  ])("classifies %s", (name, error, category) => {
+    expect(youtubeRequest.classifyError(error).category).toBe(category);
+  });
+
+  it("reads Retry-After in seconds", () => {
+    const error = apiError(429, null, { "retry-after": "3" });
+
+    expect(youtubeRequest.classifyError(error).retryAfter).toBe(3000);
+  });
+});
+
+describe("list", () => {
+  it("retries transient errors and counts the quota of every attempt", async () => {
+    const youtube = clientAnswering(apiError(503), apiError(429), ok);
+
+    const response = await youtubeRequest.list(youtube, "videos", { myRating: "like" });
+
+    expect(response).toBe(ok);
+    expect(youtube.videos.list).toHaveBeenCalledTimes(3);
+    expect(await quotaUsed()).toBe(3);
+  });
+
+  it("gives up once the retries are used up", async () => {
+    const youtube = clientAnswering(apiError(503), apiError(503), apiError(503), ok);
+
+    await expect(youtubeRequest.list(youtube, "videos", {})).rejects.toMatchObject({
+      code: "YOUTUBE_UNAVAILABLE",
+    });
+    expect(youtube.videos.list).toHaveBeenCalledTimes(3);
+  });
+
+  it("makes a single attempt when retries are turned off", async () => {
+    config.youtube.maxRetries = 0;
+    const youtube = clientAnswering(apiError(503), ok);
+
+    await expect(youtubeRequest.list(youtube, "videos", {})).rejects.toMatchObject({
+      code: "YOUTUBE_UNAVAILABLE",
+    });
+    expect(youtube.videos.list).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry errors that retrying can't fix", async () => {
+    const youtube = clientAnswering(apiError(403, "quotaExceeded"), ok);
+
+    await expect(youtubeRequest.list(youtube, "videos", {})).rejects.toMatchObject({
+      code: "QUOTA_EXCEEDED",
+    });
+    expect(youtube.videos.list).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not wait longer than the longest backoff", async () => {
+    const youtube = clientAnswering(apiError(429, null, { "retry-after": "60" }), ok);
+
+    await expect(youtubeRequest.list(youtube, "videos", {})).rejects.toMatchObject({
+      code: "YOUTUBE_UNAVAILABLE",
+    });
+    expect(youtube.videos.list).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops waiting for a retry when the export is cancelled", async () => {
+    const controller = new AbortController();
+    const youtube = clientAnswering(apiError(429, null, { "retry-after": "1" }), ok);
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(
+      youtubeRequest.list(youtube, "videos", {}, { signal: controller.signal })
+    ).rejects.toMatchObject({ name: "AbortError" });
+    expect(youtube.videos.list).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,35 +1,134 @@
 /**
  * YouTube API Service
  */
-const { google } = require("googleapis");
 const authService = require("./authService");
+const youtubeRequest = require("./youtubeRequest");
+const { AppError } = require("../utils/errors");
+
+// YouTube returns at most 50 items per page, and every list call costs 1 quota unit
+const PAGE_SIZE = 50;
+const LIST_QUOTA_COST = 1;
+
+/**
+ * Stop paging when an export has been cancelled
+ * @param {AbortSignal} [signal] - Signal of the export
+ */
+const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw youtubeRequest.abortError();
+  }
+};
+
+// Sign-in problems the user has to fix, whatever was being fetched
+const AUTH_ERRORS = ["TOKEN_EXPIRED", "SCOPE_MISSING"];
+
+/**
+ * Whether an error ends a fetch as it is, even after some pages were fetched
+ * @param {Error} error - The error
+ * @returns {boolean} True for a cancelled export or an exceeded quota
+ */
+const isFatal = (error) => error.name === "AbortError" || error.code === "QUOTA_EXCEEDED";
+
+/**
+ * Return the items fetched before paging failed, with a warning
+ * @param {Array} items - Items fetched by this call
+ * @param {Error} error - Error paging stopped at (an AppError from youtubeRequest)
+ * @param {string} label - What was fetched, e.g. "liked videos"
+ * @param {number} fetched - Items fetched so far, including earlier runs
+ * @param {Function} [onWarning] - Called with { type, label, code, fetched, message }
+ * @returns {Array} The items
+ */
+const partialResults = (items, error, label, fetched, onWarning) => {
+  const warning = {
+    type: "partialResults",
+    label,
+    code: error.code || "YOUTUBE_REQUEST_FAILED",
+    fetched,
+    message: `Only ${fetched} ${label} were fetched: ${error.message}`,
+  };
+
+  console.warn(warning.message, error);
+  if (onWarning) {
+    onWarning(warning);
+  }
+
+  return items;
+};
+
+/**
+ * Report a fetched page to an optional progress callback
+ * @param {Function} [onPage] - Progress callback
+ * @param {Object} page - Page details
+ * @param {number} page.page - 1-based number of the page just fetched
+ * @param {Object} page.response - API response for the page
+ * @param {number} page.fetched - Items fetched so far
+ * @param {number} page.maxResults - Maximum number of items requested
+ * @param {Array} page.items - Formatted items of this page
+ * @param {boolean} [page.stopped] - Paging stopped early, e.g. at the last export's checkpoint
+ */
+const reportPage = async (
+  onPage,
+  { page, response, fetched, maxResults, items, stopped = false }
+) => {
+  if (!onPage) return;
+
+  // The list was read to its end (or to where it was asked to stop), rather than
+  // cut off by maxResults
+  const complete = stopped || !response.data.nextPageToken;
+  const done = complete || fetched >= maxResults;
+  const available = response.data.pageInfo?.totalResults ?? fetched;
+  const expectedPages = Math.ceil(Math.min(available, maxResults) / PAGE_SIZE);
+
+  // Callers may return a promise, e.g. to store the page before the next one
+  await onPage({
+    page,
+    totalPages: done ? page : Math.max(page + 1, expectedPages),
+    fetched,
+    // Pages served from the cache without asking YouTube cost nothing
+    quotaCost: response.cached === "fresh" ? 0 : LIST_QUOTA_COST,
+    items,
+    nextPageToken: done ? null : response.data.nextPageToken,
+    complete,
+  });
+};
 
 module.exports = {
   /**
    * Get user's liked videos
    * @param {string} accessToken - The access token
    * @param {number} maxResults - Maximum number of results to return
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onPage] - Called after each page with { page, totalPages, fetched, quotaCost, items, nextPageToken, complete }
+   * @param {Object} [options.checkpoint] - Continue an earlier fetch from { pageToken, page, fetched }
+   * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+   * @param {Function} [options.onWarning] - Called with a warning when only part of the data could be fetched
+   * @param {Object} [options.cache] - Cache the responses for { accountId, refresh }, see youtubeRequest
+   * @param {string} [options.untilId] - Stop at this video, e.g. the newest one of the last export
    * @returns {Promise<Array>} Array of liked videos
    */
-  async getLikedVideos(accessToken, maxResults = 50) {
+  async getLikedVideos(accessToken, maxResults = 50, options = {}) {
+    const videos = [];
+    const checkpoint = options.checkpoint || {};
+    let pageToken = checkpoint.pageToken || null;
+    let totalResults = checkpoint.fetched || 0;
+    let page = checkpoint.page || 0;
+
     try {
       console.log(
         "Attempting to fetch liked videos with token:",
         accessToken.substring(0, 10) + "..."
       );
-      const auth = authService.getAuthenticatedClient(accessToken);
-      const youtube = google.youtube({ version: "v3", auth });
-
-      const videos = [];
-      let pageToken = null;
-      let totalResults = 0;
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth, options);
 
       // Fetch all pages until we reach maxResults or there are no more pages
       do {
-        const response = await youtube.videos.list({
+        throwIfAborted(options.signal);
+
+        const response = await youtube.list("videos", {
           part: "snippet,contentDetails,statistics",
           myRating: "like",
-          maxResults: Math.min(50, maxResults - totalResults), // YouTube API limits to 50 per request
+          maxResults: Math.min(PAGE_SIZE, maxResults - totalResults), // YouTube API limits to 50 per request
           pageToken,
         });
 
@@ -52,15 +151,37 @@ module.exports = {
           commentCount: video.statistics.commentCount,
         }));
 
-        videos.push(...formattedVideos);
-        totalResults += items.length;
-        pageToken = response.data.nextPageToken;
+        // Liked videos come newest first, so everything after untilId was seen before
+        const seenIndex = options.untilId
+          ? formattedVideos.findIndex((video) => video.id === options.untilId)
+          : -1;
+        const newVideos =
+          seenIndex === -1 ? formattedVideos : formattedVideos.slice(0, seenIndex);
+
+        videos.push(...newVideos);
+        totalResults += newVideos.length;
+        pageToken = seenIndex === -1 ? response.data.nextPageToken : null;
+        await reportPage(options.onPage, {
+          page: ++page,
+          response,
+          fetched: totalResults,
+          maxResults,
+          items: newVideos,
+          stopped: seenIndex !== -1,
+        });
       } while (pageToken && totalResults < maxResults);
 
       return videos;
     } catch (error) {
+      if (isFatal(error)) throw error;
+
+      // Keep the pages fetched before paging failed
+      if (totalResults > 0) {
+        return partialResults(videos, error, "liked videos", totalResults, options.onWarning);
+      }
+
       console.error("Detailed error fetching liked videos:", error);
-      throw new Error("Failed to fetch liked videos");
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch liked videos");
     }
   },
 
@@ -70,27 +191,38 @@ module.exports = {
    * 
    * @param {string} accessToken - The access token
    * @param {number} maxResults - Maximum number of results to return
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onPage] - Called after each page with { page, totalPages, fetched, quotaCost, items, nextPageToken, complete }
+   * @param {Object} [options.checkpoint] - Continue an earlier fetch from { pageToken, page, fetched }
+   * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+   * @param {Function} [options.onWarning] - Called with a warning when only part of the data could be fetched
+   * @param {Object} [options.cache] - Cache the responses for { accountId, refresh }, see youtubeRequest
+   * @param {string} [options.since] - Only return items watched after this ISO timestamp
    * @returns {Promise<Array>} Array of watch history items
    */
-  async getWatchHistory(accessToken, maxResults = 50) {
+  async getWatchHistory(accessToken, maxResults = 50, options = {}) {
+    const historyItems = [];
+    const checkpoint = options.checkpoint || {};
+    let pageToken = checkpoint.pageToken || null;
+    let totalResults = checkpoint.fetched || 0;
+    let page = checkpoint.page || 0;
+
     try {
       console.log("Fetching watch history using activities API");
-      const auth = authService.getAuthenticatedClient(accessToken);
-      const youtube = google.youtube({ version: "v3", auth });
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth, options);
 
       // Use activities API to get watch history
       // This is more reliable than trying to access the watch history playlist directly
-      const historyItems = [];
-      let pageToken = null;
-      let totalResults = 0;
-
       try {
         // Attempt to use activities API first
         do {
-          const activitiesResponse = await youtube.activities.list({
+          throwIfAborted(options.signal);
+
+          const activitiesResponse = await youtube.list("activities", {
             part: "snippet,contentDetails",
             mine: true, 
-            maxResults: Math.min(50, maxResults - totalResults),
+            maxResults: Math.min(PAGE_SIZE, maxResults - totalResults),
             pageToken,
           });
 
@@ -128,27 +260,379 @@ module.exports = {
             };
           }).filter(item => item.videoId !== null); // Filter out items without videoId
 
-          historyItems.push(...formattedItems);
-          totalResults += formattedItems.length;
-          pageToken = activitiesResponse.data.nextPageToken;
+          // Activities come newest first, so the first older one ends the new items
+          const since = options.since ? new Date(options.since) : null;
+          const reachedSince =
+            since && items.some((item) => new Date(item.snippet.publishedAt) <= since);
+          const newItems = since
+            ? formattedItems.filter((item) => new Date(item.watchedAt) > since)
+            : formattedItems;
+
+          historyItems.push(...newItems);
+          totalResults += newItems.length;
+          pageToken = reachedSince ? null : activitiesResponse.data.nextPageToken;
+          await reportPage(options.onPage, {
+            page: ++page,
+            response: activitiesResponse,
+            fetched: totalResults,
+            maxResults,
+            items: newItems,
+            stopped: !!reachedSince,
+          });
         } while (pageToken && totalResults < maxResults);
 
         return historyItems;
       } catch (activityError) {
+        if (isFatal(activityError)) throw activityError;
         console.error("Error with activities API:", activityError);
-        
-        // If activities API fails, try a more basic approach - just return an empty array
-        // to prevent application crashes
-        console.log("Returning empty watch history due to API limitations");
-        return [];
+
+        // Keep the pages fetched before paging failed
+        if (totalResults > 0) {
+          return partialResults(
+            historyItems,
+            activityError,
+            "watch history items",
+            totalResults,
+            options.onWarning
+          );
+        }
+
+        if (AUTH_ERRORS.includes(activityError.code)) throw activityError;
+
+        // An empty list would look like a successful export of nothing
+        throw new AppError(
+          "HISTORY_UNAVAILABLE",
+          "YouTube did not return the watch history through its activities API",
+          { details: activityError.details, cause: activityError }
+        );
       }
     } catch (error) {
+      if (isFatal(error)) throw error;
       console.error("Error fetching watch history:", error);
-      // Return empty array instead of throwing to prevent application crashes
-      return [];
+      throw AppError.from(error, "HISTORY_UNAVAILABLE", "Failed to fetch watch history");
+    }
+  },
+
+  /**
+   * Get the channels the user is subscribed to
+   * @param {string} accessToken - The access token
+   * @param {number} maxResults - Maximum number of results to return
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onPage] - Called after each page with { page, totalPages, fetched, quotaCost, items, nextPageToken, complete }
+   * @param {Object} [options.checkpoint] - Continue an earlier fetch from { pageToken, page, fetched }
+   * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+   * @param {Function} [options.onWarning] - Called with a warning when only part of the data could be fetched
+   * @param {Object} [options.cache] - Cache the responses for { accountId, refresh }, see youtubeRequest
+   * @returns {Promise<Array>} Array of subscriptions
+   */
+  async getSubscriptions(accessToken, maxResults = 50, options = {}) {
+    const subscriptions = [];
+    const checkpoint = options.checkpoint || {};
+    let pageToken = checkpoint.pageToken || null;
+    let totalResults = checkpoint.fetched || 0;
+    let page = checkpoint.page || 0;
+
+    try {
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth, options);
+
+      // Fetch all pages until we reach maxResults or there are no more pages
+      do {
+        throwIfAborted(options.signal);
+
+        const response = await youtube.list("subscriptions", {
+          part: "snippet,contentDetails",
+          mine: true,
+          order: "alphabetical",
+          maxResults: Math.min(PAGE_SIZE, maxResults - totalResults),
+          pageToken,
+        });
+
+        const items = response.data.items || [];
+
+        // Format subscription data
+        const formattedSubscriptions = items.map((subscription) => ({
+          id: subscription.id,
+          channelId: subscription.snippet.resourceId?.channelId,
+          title: subscription.snippet.title,
+          description: subscription.snippet.description,
+          subscribedAt: subscription.snippet.publishedAt,
+          thumbnailUrl:
+            subscription.snippet.thumbnails?.high?.url ||
+            subscription.snippet.thumbnails?.default?.url,
+          // "all" means every activity is surfaced, "uploads" only new uploads
+          notificationLevel: subscription.contentDetails?.activityType,
+          totalItemCount: subscription.contentDetails?.totalItemCount,
+        }));
+
+        subscriptions.push(...formattedSubscriptions);
+        totalResults += items.length;
+        pageToken = response.data.nextPageToken;
+        await reportPage(options.onPage, {
+          page: ++page,
+          response,
+          fetched: totalResults,
+          maxResults,
+          items: formattedSubscriptions,
+        });
+      } while (pageToken && totalResults < maxResults);
+
+      return subscriptions;
+    } catch (error) {
+      if (isFatal(error)) throw error;
+
+      // Keep the pages fetched before paging failed
+      if (totalResults > 0) {
+        return partialResults(subscriptions, error, "subscriptions", totalResults, options.onWarning);
+      }
+
+      console.error("Error fetching subscriptions:", error);
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch subscriptions");
     }
   },
 
+  /**
+   * Get the user's own playlists
+   * @param {string} accessToken - The access token
+   * @param {number} maxResults - Maximum number of playlists to return
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onPage] - Called after each page with { page, totalPages, fetched, quotaCost, items, nextPageToken, complete }
+   * @param {Object} [options.checkpoint] - Continue an earlier fetch from { pageToken, page, fetched }
+   * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+   * @param {Function} [options.onWarning] - Called with a warning when only part of the data could be fetched
+   * @param {Object} [options.cache] - Cache the responses for { accountId, refresh }, see youtubeRequest
+   * @returns {Promise<Array>} Array of playlists
+   */
+  async getPlaylists(accessToken, maxResults = 50, options = {}) {
+    const playlists = [];
+    const checkpoint = options.checkpoint || {};
+    let pageToken = checkpoint.pageToken || null;
+    let totalResults = checkpoint.fetched || 0;
+    let page = checkpoint.page || 0;
+
+    try {
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth, options);
+
+      // Fetch all pages until we reach maxResults or there are no more pages
+      do {
+        throwIfAborted(options.signal);
+
+        const response = await youtube.list("playlists", {
+          part: "snippet,contentDetails,status",
+          mine: true,
+          maxResults: Math.min(PAGE_SIZE, maxResults - totalResults),
+          pageToken,
+        });
+
+        const items = response.data.items || [];
+
+        // Format playlist data
+        const formattedPlaylists = items.map((playlist) => ({
+          id: playlist.id,
+          title: playlist.snippet.title,
+          description: playlist.snippet.description,
+          channelTitle: playlist.snippet.channelTitle,
+          channelId: playlist.snippet.channelId,
+          publishedAt: playlist.snippet.publishedAt,
+          privacyStatus: playlist.status?.privacyStatus,
+          itemCount: playlist.contentDetails?.itemCount,
+          thumbnailUrl:
+            playlist.snippet.thumbnails?.high?.url ||
+            playlist.snippet.thumbnails?.default?.url,
+        }));
+
+        playlists.push(...formattedPlaylists);
+        totalResults += items.length;
+        pageToken = response.data.nextPageToken;
+        await reportPage(options.onPage, {
+          page: ++page,
+          response,
+          fetched: totalResults,
+          maxResults,
+          items: formattedPlaylists,
+        });
+      } while (pageToken && totalResults < maxResults);
+
+      return playlists;
+    } catch (error) {
+      if (isFatal(error)) throw error;
+
+      // Keep the pages fetched before paging failed
+      if (totalResults > 0) {
+        return partialResults(playlists, error, "playlists", totalResults, options.onWarning);
+      }
+
+      console.error("Error fetching playlists:", error);
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch playlists");
+    }
+  },
+
+  /**
+   * Get the items of a playlist
+   * @param {string} accessToken - The access token
+   * @param {string} playlistId - The playlist to read
+   * @param {number} maxResults - Maximum number of items to return
+   * @param {Object} [options] - Additional options
+   * @param {Function} [options.onPage] - Called after each page with { page, totalPages, fetched, quotaCost, items, nextPageToken, complete }
+   * @param {Object} [options.checkpoint] - Continue an earlier fetch from { pageToken, page, fetched }
+   * @param {AbortSignal} [options.signal] - Stops fetching further pages when aborted
+   * @param {Function} [options.onWarning] - Called with a warning when only part of the data could be fetched
+   * @param {Object} [options.cache] - Cache the responses for { accountId, refresh }, see youtubeRequest
+   * @returns {Promise<Array>} Array of playlist items
+   */
+  async getPlaylistItems(accessToken, playlistId, maxResults = 50, options = {}) {
+    const playlistItems = [];
+    const checkpoint = options.checkpoint || {};
+    let pageToken = checkpoint.pageToken || null;
+    let totalResults = checkpoint.fetched || 0;
+    let page = checkpoint.page || 0;
+
+    try {
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth, options);
+
+      // Fetch all pages until we reach maxResults or there are no more pages
+      do {
+        throwIfAborted(options.signal);
+
+        const response = await youtube.list("playlistItems", {
+          part: "snippet,contentDetails",
+          playlistId,
+          maxResults: Math.min(PAGE_SIZE, maxResults - totalResults),
+          pageToken,
+        });
+
+        const items = response.data.items || [];
+
+        // Format playlist item data
+        const formattedItems = items.map((item) => ({
+          id: item.id,
+          playlistId: item.snippet.playlistId,
+          position: item.snippet.position,
+          videoId: item.contentDetails?.videoId || item.snippet.resourceId?.videoId,
+          title: item.snippet.title,
+          channelTitle: item.snippet.videoOwnerChannelTitle,
+          channelId: item.snippet.videoOwnerChannelId,
+          addedAt: item.snippet.publishedAt,
+          videoPublishedAt: item.contentDetails?.videoPublishedAt,
+          thumbnailUrl:
+            item.snippet.thumbnails?.high?.url ||
+            item.snippet.thumbnails?.default?.url,
+        }));
+
+        playlistItems.push(...formattedItems);
+        totalResults += items.length;
+        pageToken = response.data.nextPageToken;
+        await reportPage(options.onPage, {
+          page: ++page,
+          response,
+          fetched: totalResults,
+          maxResults,
+          items: formattedItems,
+        });
+      } while (pageToken && totalResults < maxResults);
+
+      return playlistItems;
+    } catch (error) {
+      if (isFatal(error)) throw error;
+
+      // Keep the pages fetched before paging failed
+      if (totalResults > 0) {
+        return partialResults(playlistItems, error, "playlist items", totalResults, options.onWarning);
+      }
+
+      console.error(`Error fetching items for playlist ${playlistId}:`, error);
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch playlist items");
+    }
+  },
+
+  /**
+   * Get the ID, title and thumbnail of the signed-in user's channel
+   * @param {string} accessToken - The access token
+   * @returns {Promise<Object>} { channelId, title, thumbnailUrl }
+   */
+  async getChannelSummary(accessToken) {
+    try {
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth);
+
+      const response = await youtube.list("channels", {
+        part: "snippet",
+        mine: true,
+      });
+
+      const channel = (response.data.items || [])[0];
+      if (!channel) {
+        throw new AppError("CHANNEL_NOT_FOUND", "No YouTube channel found for this account");
+      }
+
+      return {
+        channelId: channel.id,
+        title: channel.snippet.title,
+        thumbnailUrl: channel.snippet.thumbnails?.default?.url,
+      };
+    } catch (error) {
+      if (isFatal(error)) throw error;
+      console.error("Error fetching channel:", error);
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to identify YouTube account");
+    }
+  },
+
+  /**
+   * Get the ID of the signed-in user's channel
+   * @param {string} accessToken - The access token
+   * @returns {Promise<string>} Channel ID
+   */
+  async getChannelId(accessToken) {
+    const { channelId } = await this.getChannelSummary(accessToken);
+    return channelId;
+  },
+
+  /**
+   * Get the ID an account's exports, checkpoints and preferences are kept under
+   * That is the YouTube channel ID, or for accounts without a channel a stable
+   * fallback (see getFallbackAccountId). Signed-in accounts are found in the token
+   * store, which costs no quota.
+   * @param {string} accessToken - The access token
+   * @returns {Promise<string>} Account ID
+   */
+  async getAccountId(accessToken) {
+    const record = await authService.findTokens(accessToken);
+    if (record) {
+      return record.accountId;
+    }
+
+    try {
+      return await this.getChannelId(accessToken);
+    } catch (error) {
+      if (error.code !== "CHANNEL_NOT_FOUND") throw error;
+    }
+
+    return this.getFallbackAccountId(accessToken);
+  },
+
+  /**
+   * Get an account ID without asking YouTube for the channel
+   * The account ID of the stored tokens, otherwise "google-" and the Google user ID.
+   * @param {string} accessToken - The access token
+   * @returns {Promise<string>} Account ID
+   * @throws {AppError} CHANNEL_NOT_FOUND when the account can't be identified
+   */
+  async getFallbackAccountId(accessToken) {
+    const record = await authService.findTokens(accessToken);
+    if (record) {
+      return record.accountId;
+    }
+
+    const userId = await authService.getUserId(accessToken);
+    if (userId) {
+      return `google-${userId}`;
+    }
+
+    throw new AppError("CHANNEL_NOT_FOUND", "Failed to identify the Google account");
+  },
+
   /**
    * Get channel statistics
    * @param {string} accessToken - The access token
@@ -156,11 +640,11 @@ module.exports = {
    */
   async getChannelStatistics(accessToken) {
     try {
-      const auth = authService.getAuthenticatedClient(accessToken);
-      const youtube = google.youtube({ version: "v3", auth });
+      const auth = await authService.getAuthenticatedClient(accessToken);
+      const youtube = youtubeRequest.createClient(auth);
 
       // Get channel info
-      const channelResponse = await youtube.channels.list({
+      const channelResponse = await youtube.list("channels", {
         part: "snippet,statistics,contentDetails",
         mine: true,
       });
@@ -168,7 +652,7 @@ module.exports = {
       const channelData = channelResponse.data.items[0];
 
       // Get subscription count
-      const subscriptionsResponse = await youtube.subscriptions.list({
+      const subscriptionsResponse = await youtube.list("subscriptions", {
         part: "snippet",
         mine: true,
         maxResults: 0, // We only need the total count
@@ -187,7 +671,7 @@ module.exports = {
       };
     } catch (error) {
       console.error("Error fetching channel statistics:", error);
-      throw new Error("Failed to fetch channel statistics");
+      throw AppError.from(error, "YOUTUBE_REQUEST_FAILED", "Failed to fetch channel statistics");
     }
   },
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Application Errors
+ * Errors with a stable code, an HTTP status and a message safe to show users
+ *
+ * Services throw AppError; the error middleware in server.js serializes it as
+ * { error, code, message, details } and the frontend picks its advice by code.
+ */
+
+// Known error codes with their HTTP status and a short title
+const ERROR_CODES = {
+  INVALID_REQUEST: { status: 400, title: "Invalid request" },
+  TOKEN_MISSING: { status: 401, title: "Not signed in" },
+  TOKEN_EXPIRED: { status: 401, title: "Session expired" },
+  SCOPE_MISSING: { status: 403, title: "Missing YouTube permissions" },
+  FORBIDDEN: { status: 403, title: "Not allowed" },
+  NOT_FOUND: { status: 404, title: "Not found" },
+  CHANNEL_NOT_FOUND: { status: 404, title: "No YouTube channel" },
+  CONFLICT: { status: 409, title: "Conflict" },
+  LINK_EXPIRED: { status: 410, title: "Download link expired" },
+  EXPORT_EXPIRED: { status: 410, title: "Export expired" },
+  NO_DATA: { status: 422, title: "Nothing to export" },
+  QUOTA_EXCEEDED: { status: 429, title: "YouTube API quota exceeded" },
+  HISTORY_UNAVAILABLE: { status: 502, title: "Watch history unavailable" },
+  YOUTUBE_REQUEST_FAILED: { status: 502, title: "YouTube request failed" },
+  YOUTUBE_UNAVAILABLE: { status: 503, title: "YouTube unavailable" },
+  EXPORT_FAILED: { status: 500, title: "Export failed" },
+  INTERNAL_ERROR: { status: 500, title: "Unexpected error" },
+};
+
+class AppError extends Error {
+  /**
+   * @param {string} code - One of ERROR_CODES
+   * @param {string} [message] - What went wrong, for users (defaults to the code's title)
+   * @param {Object} [options] - Additional options
+   * @param {number} [options.status] - HTTP status, if not the code's default
+   * @param {Object} [options.details] - Extra data for the client, e.g. quota usage
+   * @param {Error} [options.cause] - Underlying error, logged but never sent
+   */
+  constructor(code, message, { status, details, cause } = {}) {
+    const known = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+
+    super(message || known.title, { cause });
+    this.name = "AppError";
+    this.code = code;
+    this.status = status || known.status;
+    this.details = details;
+  }
+
+  /**
+   * Turn any error into an AppError
+   * AppErrors are returned as they are; others are wrapped.
+   * @param {Error} error - The error
+   * @param {string} [code="INTERNAL_ERROR"] - Code for errors that aren't AppErrors
+   * @param {string} [context] - What failed, e.g. "Failed to fetch playlists"
+   * @returns {AppError} The AppError
+   */
+  static from(error, code = "INTERNAL_ERROR", context) {
+    if (error instanceof AppError) {
+      return error;
+    }
+
+    // Errors from Express middleware (e.g. a malformed JSON body) carry their status
+    const status = error.status || error.statusCode;
+    if (status && status < 500) {
+      return new AppError("INVALID_REQUEST", error.message, { status, cause: error });
+    }
+
+    const message = context ? `${context}: ${error.message}` : error.message;
+    return new AppError(code, message, { cause: error });
+  }
+
+  /**
+   * Body of the error response
+   * @returns {Object} { error, code, message, details }
+   */
+  toJSON() {
+    return {
+      error: (ERROR_CODES[this.code] || ERROR_CODES.INTERNAL_ERROR).title,
+      code: this.code,
+      message: this.message,
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+module.exports = { AppError, ERROR_CODES };
@@ -2,6 +2,8 @@
  * Utility Helper Functions
  */
 const authService = require("../services/authService");
+const filterService = require("../services/filterService");
+const { AppError } = require("./errors");
 
 module.exports = {
   /**
@@ -15,14 +17,14 @@ module.exports = {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.status(401).json({ error: "Authorization header required" });
+      return next(new AppError("TOKEN_MISSING", "Authorization header required"));
     }
 
     // Extract the token
     const token = authHeader.split(" ")[1];
 
     if (!token) {
-      return res.status(401).json({ error: "Token required" });
+      return next(new AppError("TOKEN_MISSING", "Token required"));
     }
 
     try {
@@ -30,7 +32,7 @@ module.exports = {
       const isValid = await authService.verifyToken(token);
 
       if (!isValid) {
-        return res.status(401).json({ error: "Invalid or expired token" });
+        return next(new AppError("TOKEN_EXPIRED", "Invalid or expired token"));
       }
 
       // Store the token in the request for later use
@@ -38,7 +40,25 @@ module.exports = {
       next();
     } catch (error) {
       console.error("Authentication error:", error);
-      res.status(401).json({ error: "Authentication failed" });
+      next(AppError.from(error, "TOKEN_EXPIRED", "Authentication failed"));
+    }
+  },
+
+  /**
+   * Middleware to parse export filters into req.filters
+   * Filters come from the query string on GET requests and from body.filters otherwise.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  parseFilters(req, res, next) {
+    const input = req.method === "GET" ? req.query : (req.body && req.body.filters) || {};
+
+    try {
+      req.filters = filterService.parseFilters(input);
+      next();
+    } catch (error) {
+      next(new AppError("INVALID_REQUEST", `Invalid filters: ${error.message}`));
     }
   },
 